@@ -2,6 +2,8 @@
 const { SlashCommandBuilder, MessageFlags } = require('discord.js');
 const APIMonitor = require('../utils/APIMonitor');
 const APIKeyManager = require('../utils/APIKeyManager');
+const RateLimiter = require('../utils/RateLimiter');
+const I18n = require('../utils/I18n');
 const Logger = require('../utils/Logger');
 
 module.exports = {
@@ -11,6 +13,7 @@ module.exports = {
   
   async execute(interaction) {
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const t = I18n.forInteraction(interaction);
     
     try {
       const usageStats = APIMonitor.getUsageStats();
@@ -21,37 +24,52 @@ module.exports = {
       
       // Format statistics
       const embed = {
-        title: '📊 API Usage Statistics',
-        description: 'Real-time monitoring of Riot API consumption',
+        title: t('apistats.title'),
+        description: t('apistats.description'),
         color: 0x5865F2,
         fields: [
           {
-            name: '⏱️ Current Usage',
-            value: `**This Minute:** ${usageStats.current.minute.requests}/${usageStats.current.minute.limit} (${usageStats.current.minute.percentage}%)\n` +
-                   `**This Hour:** ${usageStats.current.hour.requests} requests\n` +
-                   `**Today:** ${usageStats.current.day.requests}/${usageStats.current.day.limit} (${usageStats.current.day.percentage}%)`,
+            name: t('apistats.currentUsage'),
+            value: [
+              t('apistats.thisMinute', usageStats.current.minute),
+              t('apistats.thisHour', usageStats.current.hour),
+              t('apistats.today', usageStats.current.day)
+            ].join('\n'),
             inline: true
           },
           {
-            name: '📈 Total Statistics',
-            value: `**Total Requests:** ${usageStats.total.requests.toLocaleString()}\n` +
-                   `**Cache Hits:** ${usageStats.total.cacheHits.toLocaleString()}\n` +
-                   `**Cache Hit Rate:** ${usageStats.total.cacheHitRate}%\n` +
-                   `**Errors:** ${usageStats.total.errors.toLocaleString()}`,
+            name: t('apistats.totalStatistics'),
+            value: [
+              t('apistats.totalRequests', { count: usageStats.total.requests.toLocaleString() }),
+              t('apistats.cacheHits', { count: usageStats.total.cacheHits.toLocaleString() }),
+              t('apistats.cacheHitRate', { rate: usageStats.total.cacheHitRate }),
+              t('apistats.errors', { count: usageStats.total.errors.toLocaleString() })
+            ].join('\n'),
             inline: true
           },
           {
-            name: '🔑 API Keys Status',
+            name: t('apistats.keysStatus'),
             value: keyStats.map(key => {
               const status = key.enabled ? '✅' : '❌';
               const health = key.health === 'healthy' ? '🟢' : key.health === 'degraded' ? '🟡' : '🔴';
-              return `${status} ${health} **${key.id}**: ${key.requestCount.toLocaleString()} req, ${key.errorCount} errors`;
-            }).join('\n') || 'No API keys configured',
+              return `${status} ${health} **${key.id}**: ${t('apistats.keyLine', { requests: key.requestCount.toLocaleString(), errors: key.errorCount })}`;
+            }).join('\n') || t('apistats.noKeys'),
+            inline: false
+          },
+          {
+            name: t('apistats.rateLimits'),
+            value: RateLimiter.getStatus().map(bucket => {
+              const windows = bucket.windows.map(window => t('apistats.rateLimitWindow', window)).join(', ');
+              const paused = bucket.blockedUntil
+                ? ` ${t('apistats.rateLimitPaused', { time: `<t:${Math.ceil(bucket.blockedUntil / 1000)}:T>` })}`
+                : '';
+              return `**${bucket.apiKeyId}** • ${bucket.routing}: ${windows}${paused}`;
+            }).join('\n').substring(0, 1024) || t('apistats.noRateLimits'),
             inline: false
           }
         ],
         footer: {
-          text: 'Use multiple API keys to distribute load and avoid rate limits'
+          text: t('apistats.footer')
         },
         timestamp: new Date().toISOString()
       };
@@ -65,7 +83,7 @@ module.exports = {
     } catch (error) {
       Logger.error('Error fetching API stats:', error.message);
       await interaction.editReply({
-        content: '❌ Error fetching API statistics. Please try again later.',
+        content: t('apistats.error'),
         flags: MessageFlags.Ephemeral
       });
     }
@@ -0,0 +1,185 @@
+// src/commands/link.js
+const { SlashCommandBuilder, MessageFlags, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const RiotAPIService = require('../services/RiotAPIService');
+const AccountLinks = require('../utils/AccountLinks');
+const Autocomplete = require('../utils/Autocomplete');
+const ChampionNames = require('../utils/ChampionNames');
+const I18n = require('../utils/I18n');
+const Logger = require('../utils/Logger');
+
+// Custom ID prefix for the Verify button (routed back to this command by interactionCreate)
+const COMPONENT_PREFIX = 'link';
+
+// Free starter profile icons every account owns - one of these is used as the ownership check
+const VERIFICATION_ICONS = Array.from({ length: 29 }, (_, iconId) => iconId);
+const VERIFICATION_MINUTES = 10;
+
+// Link requests waiting for the icon check, by Discord user ID
+// { puuid, region, riotId, iconId, expiresAt }
+const pendingLinks = new Map();
+
+// Random starter icon that differs from the account's current icon
+function pickVerificationIcon(currentIconId) {
+  const candidates = VERIFICATION_ICONS.filter(iconId => iconId !== currentIconId);
+  return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+function buildVerifyEmbed(t, pending, currentLink) {
+  const lines = [t('link.instructions', { iconId: pending.iconId, minutes: VERIFICATION_MINUTES })];
+  if (currentLink && currentLink.puuid !== pending.puuid) {
+    lines.push(t('link.replaces', { riotId: currentLink.riotId }));
+  }
+
+  return {
+    title: t('link.title', { riotId: pending.riotId }),
+    description: lines.join('\n\n'),
+    color: 0xC8AA6E,
+    // Icon image from Data Dragon (skipped if the version couldn't be loaded)
+    ...(ChampionNames.version && {
+      thumbnail: { url: `https://ddragon.leagueoflegends.com/cdn/${ChampionNames.version}/img/profileicon/${pending.iconId}.png` }
+    })
+  };
+}
+
+function buildVerifyRow(t) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${COMPONENT_PREFIX}:verify`)
+      .setLabel(t('link.verifyButton'))
+      .setEmoji('✅')
+      .setStyle(ButtonStyle.Success)
+  );
+}
+
+// Verify button: check the account's current profile icon and store the link
+async function verifyLink(interaction) {
+  const t = I18n.forInteraction(interaction);
+  const pending = pendingLinks.get(interaction.user.id);
+
+  if (!pending || pending.expiresAt < Date.now()) {
+    pendingLinks.delete(interaction.user.id);
+    await interaction.update({ content: t('link.expired'), embeds: [], components: [] });
+    return;
+  }
+
+  await interaction.deferUpdate();
+
+  // Fresh lookup - the cached summoner still has the old icon
+  let summoner;
+  try {
+    summoner = await RiotAPIService.getSummonerByPUUID(pending.puuid, pending.region, true);
+  } catch (error) {
+    Logger.error('Error verifying account link:', { error: error.message, status: error.response?.status || error.status });
+    await interaction.editReply({ content: t('link.errors.failed', { message: error.message }) });
+    return;
+  }
+
+  if (summoner.profileIconId !== pending.iconId) {
+    await interaction.editReply({
+      content: t('link.mismatch', { currentIconId: summoner.profileIconId, iconId: pending.iconId }),
+      embeds: [buildVerifyEmbed(t, pending, AccountLinks.get(interaction.user.id))],
+      components: [buildVerifyRow(t)]
+    });
+    return;
+  }
+
+  pendingLinks.delete(interaction.user.id);
+  AccountLinks.set(interaction.user.id, { puuid: pending.puuid, region: pending.region, riotId: pending.riotId });
+  await interaction.editReply({ content: t('link.verified', { riotId: pending.riotId }), embeds: [], components: [] });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('link')
+    .setDescription('Link your Riot account so /lolstats works without typing your Riot ID')
+    .addStringOption(option =>
+      option.setName('riot_id')
+        .setDescription('Your Riot ID (format: GameName#TagLine, e.g., "SummonerName#TAG1")')
+        .setRequired(true)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('region')
+        .setDescription('Your account region (optional - remembered for /lolstats)')
+        .setRequired(false)
+        .addChoices(
+          { name: '🇺🇸 Americas (NA, BR, LAN, LAS)', value: 'americas' },
+          { name: '🇪🇺 Europe (EUW, EUNE, TR, RU)', value: 'europe' },
+          { name: '🇰🇷 Asia (KR, JP)', value: 'asia' },
+          { name: '🌏 SEA (OCE, SG, TW, VN, PH)', value: 'sea' },
+          { name: '🇺🇸 North America (NA1)', value: 'na1' },
+          { name: '🇧🇷 Brazil (BR1)', value: 'br1' },
+          { name: '🇪🇺 Europe West (EUW1)', value: 'euw1' },
+          { name: '🇪🇺 Europe Nordic & East (EUN1)', value: 'eun1' },
+          { name: '🇰🇷 Korea (KR)', value: 'kr' },
+          { name: '🇯🇵 Japan (JP1)', value: 'jp1' },
+          { name: '🇦🇺 Oceania (OC1)', value: 'oc1' },
+          { name: '🇸🇬 Singapore (SG2)', value: 'sg2' }
+        )),
+
+  // Riot ID suggestions from recent lookups (routed here by events/interactionCreate.js)
+  async autocomplete(interaction) {
+    await interaction.respond(Autocomplete.riotIdChoices(interaction));
+  },
+
+  // Verify button (routed here by events/interactionCreate.js)
+  async handleComponent(interaction) {
+    if (interaction.customId === `${COMPONENT_PREFIX}:verify`) {
+      await verifyLink(interaction);
+    }
+  },
+
+  async execute(interaction) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const t = I18n.forInteraction(interaction);
+
+    const riotId = (interaction.options.getString('riot_id') || '').trim();
+    const region = interaction.options.getString('region');
+    const parts = riotId.split('#');
+    if (parts.length !== 2 || parts[0].trim().length === 0 || parts[1].trim().length === 0) {
+      await interaction.editReply(t('link.errors.invalidRiotId', { riotId }));
+      return;
+    }
+
+    try {
+      const summoner = await RiotAPIService.getSummonerByRiotId(riotId, region);
+      const currentLink = AccountLinks.get(interaction.user.id);
+
+      if (currentLink && currentLink.puuid === summoner.puuid) {
+        // Same account - just remember the region if a new one was given
+        AccountLinks.set(interaction.user.id, { puuid: summoner.puuid, region: region || currentLink.region, riotId: summoner.riotId });
+        await interaction.editReply(t('link.alreadyLinked', { riotId: summoner.riotId }));
+        return;
+      }
+
+      await ChampionNames.initialize();
+
+      // The cached summoner may be old - compare against the icon the account has right now
+      const freshSummoner = await RiotAPIService.getSummonerByPUUID(summoner.puuid, region, true);
+      const pending = {
+        puuid: summoner.puuid,
+        region,
+        riotId: summoner.riotId,
+        iconId: pickVerificationIcon(freshSummoner.profileIconId),
+        expiresAt: Date.now() + VERIFICATION_MINUTES * 60 * 1000
+      };
+      // Drop requests nobody finished
+      for (const [userId, request] of pendingLinks) {
+        if (request.expiresAt < Date.now()) pendingLinks.delete(userId);
+      }
+      pendingLinks.set(interaction.user.id, pending);
+
+      await interaction.editReply({
+        embeds: [buildVerifyEmbed(t, pending, currentLink)],
+        components: [buildVerifyRow(t)]
+      });
+    } catch (error) {
+      if (error.response?.status === 404 || error.status === 404) {
+        await interaction.editReply(t('link.errors.notFound', { riotId }));
+        return;
+      }
+
+      Logger.error('Error linking account:', { error: error.message, status: error.response?.status || error.status, riotId });
+      await interaction.editReply(t('link.errors.failed', { message: error.message }));
+    }
+  },
+};
@@ -0,0 +1,374 @@
+// src/commands/lolcompare.js
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const moment = require('moment');
+const crypto = require('crypto');
+const RewindService = require('../services/RewindService');
+const RewindJobQueue = require('../services/RewindJobQueue');
+const YearEndRewindCalculator = require('../utils/YearEndRewindCalculator');
+const SeasonRegistry = require('../utils/SeasonRegistry');
+const QueueFilters = require('../utils/QueueFilters');
+const ChampionNames = require('../utils/ChampionNames');
+const RecentLookups = require('../utils/RecentLookups');
+const Autocomplete = require('../utils/Autocomplete');
+const I18n = require('../utils/I18n');
+const Logger = require('../utils/Logger');
+
+// Riot IDs need exactly one # with a game name and tag line around it (same rules as /lolstats)
+function isValidRiotId(riotId) {
+  const parts = riotId.split('#');
+  return parts.length === 2 && parts[0].trim().length > 0 && parts[1].trim().length > 0;
+}
+
+const COMMAND_NAME = 'lolcompare';
+
+const REGION_CHOICES = [
+  { name: '🇺🇸 Americas (NA, BR, LAN, LAS)', value: 'americas' },
+  { name: '🇪🇺 Europe (EUW, EUNE, TR, RU)', value: 'europe' },
+  { name: '🇰🇷 Asia (KR, JP)', value: 'asia' },
+  { name: '🌏 SEA (OCE, SG, TW, VN, PH)', value: 'sea' },
+  { name: '🇺🇸 North America (NA1)', value: 'na1' },
+  { name: '🇧🇷 Brazil (BR1)', value: 'br1' },
+  { name: '🇪🇺 Europe West (EUW1)', value: 'euw1' },
+  { name: '🇪🇺 Europe Nordic & East (EUN1)', value: 'eun1' },
+  { name: '🇰🇷 Korea (KR)', value: 'kr' },
+  { name: '🇯🇵 Japan (JP1)', value: 'jp1' },
+  { name: '🇦🇺 Oceania (OC1)', value: 'oc1' },
+  { name: '🇸🇬 Singapore (SG2)', value: 'sg2' }
+];
+
+// Progress updates are best effort - a long comparison can outlive the interaction token
+async function updateProgress(interaction, content) {
+  try {
+    await interaction.editReply(content);
+  } catch (error) {
+    Logger.warn('Cannot send progress update (interaction may have expired):', error.message);
+  }
+}
+
+// One player's column: games, win rate, KDA, main role and champion pool
+function formatPlayerStats(t, player) {
+  const { totalGames, winRate, kdaStats, roleBreakdown, uniqueChampions } = player.rewind;
+  const mainRole = roleBreakdown[0];
+
+  return t('lolcompare.stats', {
+    games: totalGames,
+    winRate,
+    kda: kdaStats.kda,
+    kills: kdaStats.kills,
+    deaths: kdaStats.deaths,
+    assists: kdaStats.assists,
+    role: mainRole ? t('common.roles')[mainRole.role] || mainRole.role : t('lolcompare.noRole'),
+    champions: uniqueChampions
+  });
+}
+
+function formatHeadToHead(t, headToHead, playerA, playerB) {
+  if (headToHead.sharedGames === 0) {
+    return t('lolcompare.noSharedGames');
+  }
+
+  const lines = [];
+  if (headToHead.together.games > 0) {
+    lines.push(t('lolcompare.together', headToHead.together));
+  }
+  if (headToHead.against.games > 0) {
+    lines.push(t('lolcompare.against', { ...headToHead.against, a: playerA.displayName, b: playerB.displayName }));
+  }
+  lines.push(t('lolcompare.lastPlayed', { date: t.date(headToHead.lastPlayed.gameCreation), matchId: headToHead.lastPlayed.matchId }));
+  return lines.join('\n');
+}
+
+function formatSharedChampions(t, sharedChampions, playerA, playerB) {
+  if (sharedChampions.totalShared === 0) {
+    return t('lolcompare.noSharedChampions');
+  }
+
+  const locale = I18n.getDataDragonLocale(t.locale);
+  return [
+    t('lolcompare.sharedChampionsTotal', { count: sharedChampions.totalShared, a: playerA.displayName, b: playerB.displayName }),
+    ...sharedChampions.champions.map(champ => t('lolcompare.sharedChampion', {
+      champion: ChampionNames.getName(champ.championId, locale),
+      gamesA: champ.a.games,
+      gamesB: champ.b.games,
+      winRateA: champ.a.winRate,
+      winRateB: champ.b.winRate
+    }))
+  ].join('\n');
+}
+
+function formatRoleOverlap(t, roleOverlap) {
+  if (roleOverlap.sharedRoles.length === 0) {
+    return t('lolcompare.noSharedRoles');
+  }
+
+  return [
+    t('lolcompare.overlap', { overlap: roleOverlap.overlap }),
+    ...roleOverlap.sharedRoles.map(role => t('lolcompare.sharedRole', {
+      role: t('common.roles')[role.role] || role.role,
+      shareA: role.shareA,
+      shareB: role.shareB
+    }))
+  ].join('\n');
+}
+
+function buildComparisonEmbed(t, playerA, playerB, comparison, seasonInfo, queueFilter) {
+  return {
+    title: t('lolcompare.title', { a: playerA.displayName, b: playerB.displayName }),
+    description: t('lolcompare.description', { season: seasonInfo.label, queue: QueueFilters.getLabel(t, queueFilter.key) }),
+    color: 0xE84057,
+    fields: [
+      { name: playerA.displayName, value: formatPlayerStats(t, playerA), inline: true },
+      { name: playerB.displayName, value: formatPlayerStats(t, playerB), inline: true },
+      { name: t('lolcompare.fields.headToHead'), value: formatHeadToHead(t, comparison.headToHead, playerA, playerB), inline: false },
+      { name: t('lolcompare.fields.sharedChampions'), value: formatSharedChampions(t, comparison.sharedChampions, playerA, playerB), inline: false },
+      { name: t('lolcompare.fields.roleOverlap'), value: formatRoleOverlap(t, comparison.roleOverlap), inline: false }
+    ],
+    footer: {
+      text: t('common.footer')
+    },
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Comparison jobs (see RewindJobQueue): each player's matches are collected by their own job, so a cold
+// comparison of two active players survives expired interactions and restarts like /lolstats does.
+// Both jobs carry the same params.comparisonId; each keeps its matches in params.matches once done, and
+// whichever finishes second delivers the comparison.
+// interaction is null when the job outlived its token or was resumed after a restart
+
+// The other player's job of a comparison
+function getPartnerJob(job) {
+  return RewindJobQueue.findJobs(COMMAND_NAME, { comparisonId: job.params.comparisonId })
+    .find(other => other.id !== job.id) || null;
+}
+
+// Edit the original reply while its token lasts, otherwise DM the user (or post in the channel)
+async function deliverComparisonMessage(job, interaction, t, payload, names) {
+  if (interaction) {
+    await interaction.editReply({ content: '', ...payload });
+    return;
+  }
+
+  const withIntro = intro => ({ ...payload, content: [intro, payload.content].filter(Boolean).join('\n\n') });
+  await RewindJobQueue.sendFresh(
+    job,
+    withIntro(t('lolcompare.delivery.dm', names)),
+    withIntro(t('lolcompare.delivery.channel', { ...names, user: `<@${job.userId}>` })).content
+  );
+}
+
+async function reportComparisonProgress(job, interaction, processedCount, totalCount) {
+  if (!interaction) return;
+
+  await updateProgress(interaction, I18n.getTranslator(job.locale)('lolcompare.progress.matches', {
+    name: job.displayName,
+    processed: processedCount,
+    total: totalCount,
+    percent: Math.round((processedCount / totalCount) * 100)
+  }));
+}
+
+async function deliverComparison(job, interaction, matches) {
+  const t = I18n.getTranslator(job.locale);
+  const partner = getPartnerJob(job);
+  // A failed partner already reported the error (see reportComparisonFailure)
+  if (!partner || partner.status === 'failed') return;
+
+  // Set and checked without awaiting in between, so exactly one of the two jobs sees both results
+  job.params.matches = matches;
+  if (!partner.params.matches) {
+    if (interaction) {
+      await updateProgress(interaction, t('lolcompare.progress.waiting', { name: partner.displayName }));
+    }
+    return;
+  }
+
+  await ChampionNames.initialize();
+  await ChampionNames.loadLocale(I18n.getDataDragonLocale(t.locale));
+
+  const seasonInfo = YearEndRewindCalculator.getSeasonInfo(job.season);
+  const queueFilter = QueueFilters.getFilter(job.queue);
+  const [jobA, jobB] = job.params.side === 'a' ? [job, partner] : [partner, job];
+  const [playerA, playerB] = [jobA, jobB].map(playerJob => ({
+    puuid: playerJob.puuid,
+    displayName: playerJob.displayName,
+    matches: playerJob.params.matches,
+    rewind: RewindService.computeRewind(playerJob.puuid, playerJob.params.matches, seasonInfo)
+  }));
+  // The match rows were only kept until the comparison could be built
+  jobA.params.matches = null;
+  jobB.params.matches = null;
+
+  const names = { a: playerA.displayName, b: playerB.displayName };
+  if (playerA.matches.length === 0 && playerB.matches.length === 0) {
+    await deliverComparisonMessage(job, interaction, t, {
+      content: t('lolcompare.errors.noMatches', { queue: QueueFilters.getLabel(t, queueFilter.key), season: seasonInfo.label })
+    }, names);
+    return;
+  }
+
+  const comparison = RewindService.compareRewinds(playerA, playerB);
+  Logger.info(`Compared ${playerA.displayName} and ${playerB.displayName}:`, {
+    season: seasonInfo.label,
+    games: `${playerA.matches.length} / ${playerB.matches.length}`,
+    sharedGames: comparison.headToHead.sharedGames,
+    sharedChampions: comparison.sharedChampions.totalShared
+  });
+
+  await deliverComparisonMessage(job, interaction, t, {
+    embeds: [buildComparisonEmbed(t, playerA, playerB, comparison, seasonInfo, queueFilter)]
+  }, names);
+}
+
+// One error message per comparison, from whichever job failed first
+async function reportComparisonFailure(job, interaction, error) {
+  const partner = getPartnerJob(job);
+  if (partner && partner.status === 'failed') return;
+  if (partner) {
+    partner.params.matches = null;
+  }
+
+  const t = I18n.getTranslator(job.locale);
+  await deliverComparisonMessage(job, interaction, t, {
+    content: t('lolcompare.errors.failed', { message: error.message })
+  }, { a: job.displayName, b: partner ? partner.displayName : '?' });
+}
+
+RewindJobQueue.registerHandler(COMMAND_NAME, {
+  onProgress: reportComparisonProgress,
+  onComplete: deliverComparison,
+  onFailed: reportComparisonFailure
+});
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName(COMMAND_NAME)
+    .setDescription('Compare two players\' season rewinds head-to-head')
+    .addStringOption(option =>
+      option.setName('riot_id_a')
+        .setDescription('First player\'s Riot ID (format: GameName#TagLine)')
+        .setRequired(true)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('riot_id_b')
+        .setDescription('Second player\'s Riot ID (format: GameName#TagLine)')
+        .setRequired(true)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('region')
+        .setDescription('Region of the first account, and of the second unless region_b is set (optional)')
+        .setRequired(false)
+        .addChoices(...REGION_CHOICES))
+    .addStringOption(option =>
+      option.setName('region_b')
+        .setDescription('Region of the second account, if it plays somewhere else (optional)')
+        .setRequired(false)
+        .addChoices(...REGION_CHOICES))
+    .addStringOption(option =>
+      option.setName('queue')
+        .setDescription('Which games to include (defaults to all ranked queues)')
+        .setRequired(false)
+        .addChoices(...QueueFilters.getChoices()))
+    .addIntegerOption(option =>
+      option.setName('season')
+        .setDescription('Season year to compare (defaults to this year, or last year during January)')
+        .setRequired(false)
+        .setMinValue(2020)
+        .setMaxValue(2100)),
+
+  // Riot ID suggestions (routed here by events/interactionCreate.js)
+  async autocomplete(interaction) {
+    await interaction.respond(Autocomplete.riotIdChoices(interaction));
+  },
+
+  async execute(interaction) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const t = I18n.forInteraction(interaction);
+
+    const riotIds = [interaction.options.getString('riot_id_a'), interaction.options.getString('riot_id_b')]
+      .map(riotId => (riotId || '').trim());
+    const invalidRiotId = riotIds.find(riotId => !isValidRiotId(riotId));
+    if (invalidRiotId !== undefined) {
+      await interaction.editReply(t('lolcompare.errors.invalidRiotId', { riotId: invalidRiotId }));
+      return;
+    }
+    if (riotIds[0].toLowerCase() === riotIds[1].toLowerCase()) {
+      await interaction.editReply(t('lolcompare.errors.samePlayer'));
+      return;
+    }
+
+    // The second account uses the first one's region unless it has its own
+    const regionA = interaction.options.getString('region');
+    const regions = [regionA, interaction.options.getString('region_b') || regionA];
+    const queueFilter = QueueFilters.getFilter(interaction.options.getString('queue'));
+    const seasonYear = interaction.options.getInteger('season') || SeasonRegistry.getDefaultYear();
+    if (seasonYear > moment.utc().year()) {
+      await interaction.editReply(t('lolcompare.errors.seasonNotStarted', { season: seasonYear, currentYear: moment.utc().year() }));
+      return;
+    }
+    const seasonInfo = YearEndRewindCalculator.getSeasonInfo(seasonYear);
+
+    try {
+      // Accounts and match IDs only - the match details are collected by the job queue
+      const players = [];
+      for (const [index, riotId] of riotIds.entries()) {
+        await updateProgress(interaction, t('lolcompare.progress.loading', { name: riotId, step: index + 1 }));
+
+        try {
+          players.push(await RewindService.findPlayerMatchIds(riotId, seasonInfo, { userRegion: regions[index], queue: queueFilter.key }));
+        } catch (playerError) {
+          if (playerError.response?.status === 404 || playerError.status === 404) {
+            await interaction.editReply(t('lolcompare.errors.notFound', { riotId }));
+            return;
+          }
+          throw playerError;
+        }
+      }
+
+      const [playerA, playerB] = players;
+      for (const [index, player] of players.entries()) {
+        RecentLookups.add(interaction.user.id, player.displayName, regions[index]);
+      }
+      if (playerA.puuid === playerB.puuid) {
+        await interaction.editReply(t('lolcompare.errors.samePlayer'));
+        return;
+      }
+      if (playerA.matchIds.length === 0 && playerB.matchIds.length === 0) {
+        await interaction.editReply(t('lolcompare.errors.noMatches', { queue: QueueFilters.getLabel(t, queueFilter.key), season: seasonInfo.label }));
+        return;
+      }
+
+      const comparisonId = crypto.randomUUID();
+      const jobs = players.map((player, index) => RewindJobQueue.submit(COMMAND_NAME, {
+        interaction,
+        locale: t.locale,
+        puuid: player.puuid,
+        displayName: player.displayName,
+        matchIds: player.matchIds,
+        userRegion: regions[index],
+        queue: queueFilter.key,
+        season: seasonYear,
+        params: { comparisonId, side: index === 0 ? 'a' : 'b', riotId: riotIds[index], matches: null }
+      }));
+
+      const queuePosition = jobs.map(job => RewindJobQueue.getQueuePosition(job.id)).find(Boolean);
+      await updateProgress(interaction, queuePosition
+        ? t('lolcompare.progress.queued', { position: queuePosition })
+        : t('lolcompare.progress.collecting', { a: playerA.displayName, b: playerB.displayName }));
+
+      await Promise.all(jobs.map(job => RewindJobQueue.waitFor(job.id)));
+    } catch (error) {
+      Logger.error('Error comparing players:', {
+        error: error.message,
+        status: error.response?.status || error.status,
+        riotIds
+      });
+
+      try {
+        await interaction.editReply(t('lolcompare.errors.failed', { message: error.message }));
+      } catch (replyError) {
+        Logger.warn('Could not send comparison error (interaction may have expired):', replyError.message);
+      }
+    }
+  },
+};
@@ -1,8 +1,23 @@
 // src/commands/lolstats.js
-const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { SlashCommandBuilder, MessageFlags, AttachmentBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const RiotAPIService = require('../services/RiotAPIService');
+const RewindService = require('../services/RewindService');
+const RewindJobQueue = require('../services/RewindJobQueue');
 const YearEndRewindCalculator = require('../utils/YearEndRewindCalculator');
 const ChampionNames = require('../utils/ChampionNames');
+const QueueFilters = require('../utils/QueueFilters');
+const SeasonRegistry = require('../utils/SeasonRegistry');
+const StoryPaginator = require('../utils/StoryPaginator');
+const RewindCard = require('../utils/RewindCard');
+const RewindCharts = require('../utils/RewindCharts');
+const RewindExport = require('../utils/RewindExport');
+const RewindHtml = require('../utils/RewindHtml');
+const AssetCache = require('../utils/AssetCache');
+const GuildSettings = require('../utils/GuildSettings');
+const AccountLinks = require('../utils/AccountLinks');
+const RecentLookups = require('../utils/RecentLookups');
+const Autocomplete = require('../utils/Autocomplete');
+const I18n = require('../utils/I18n');
 const Logger = require('../utils/Logger');
 const moment = require('moment');
 
@@ -34,12 +49,16 @@ async function safeEditReply(interaction, content, options = {}) {
   const replyData = {
     content: isString ? content : (content.content || undefined),
     embeds: content.embeds || options.embeds || undefined,
+    components: content.components || options.components || undefined,
+    files: content.files || options.files || undefined,
     flags: options.flags
   };
   
   // Remove undefined values
   if (!replyData.content) delete replyData.content;
   if (!replyData.embeds) delete replyData.embeds;
+  if (!replyData.components) delete replyData.components;
+  if (!replyData.files) delete replyData.files;
   if (!replyData.flags) delete replyData.flags;
   
   try {
@@ -83,13 +102,16 @@ async function safeEditReply(interaction, content, options = {}) {
         // Token is completely expired, can't use followUp either
         Logger.error('Interaction token completely expired, cannot send response');
         
+        const t = I18n.forInteraction(interaction);
+        
         // Try multiple fallback methods
         // 1. Try DM first
         if (interaction.user && !interaction.user.bot) {
           try {
             await interaction.user.send({
-              content: isString ? content : (content.content || '❌ Your command took longer than 15 minutes and the interaction expired. The results may still be processing. Please try the command again in a moment.'),
-              embeds: content.embeds || options.embeds
+              content: isString ? content : (content.content || t('lolstats.delivery.expiredDm')),
+              embeds: content.embeds || options.embeds,
+              files: replyData.files
             });
             Logger.info('Sent message via DM to user (interaction expired)');
             return null; // Return null instead of throwing
@@ -101,8 +123,10 @@ async function safeEditReply(interaction, content, options = {}) {
             if (interaction.channel && interaction.channel.send) {
               try {
                 const channelMessage = await interaction.channel.send({
-                  content: `${interaction.user}, your command results (interaction expired):`,
-                  embeds: content.embeds || options.embeds || (isString ? undefined : [])
+                  content: t('lolstats.delivery.channelFallback', { user: interaction.user }),
+                  embeds: content.embeds || options.embeds || (isString ? undefined : []),
+                  components: replyData.components,
+                  files: replyData.files
                 });
                 Logger.info('Sent message to channel as fallback (interaction expired)');
                 return channelMessage;
@@ -123,8 +147,10 @@ async function safeEditReply(interaction, content, options = {}) {
         if (interaction.channel && interaction.channel.send) {
           try {
             const channelMessage = await interaction.channel.send({
-              content: 'Command results (interaction expired):',
-              embeds: content.embeds || options.embeds || (isString ? undefined : [])
+              content: t('lolstats.delivery.channelFallbackNoUser'),
+              embeds: content.embeds || options.embeds || (isString ? undefined : []),
+              components: replyData.components,
+              files: replyData.files
             });
             Logger.info('Sent message to channel as fallback (interaction expired, no user)');
             return channelMessage;
@@ -154,6 +180,899 @@ async function safeEditReply(interaction, content, options = {}) {
   }
 }
 
+// Champion name in the user's language (Data Dragon locale loaded in execute())
+function getChampionName(t, championId) {
+  return ChampionNames.getName(championId, I18n.getDataDragonLocale(t.locale));
+}
+
+// Display names for the normalized roles returned by YearEndRewindCalculator.normalizeRole()
+function getRoleLabel(t, role) {
+  return t('common.roles')[role] || role;
+}
+
+// Format the per-role breakdown as one line per role for the embed
+function formatRoleBreakdown(t, roleBreakdown) {
+  if (!roleBreakdown || roleBreakdown.length === 0) {
+    return t('lolstats.stats.noRoleData');
+  }
+  
+  return roleBreakdown.map(role => {
+    const champions = role.topChampions.map(champ => getChampionName(t, champ.championId)).join(', ');
+    const line = t('lolstats.stats.roleLine', {
+      role: getRoleLabel(t, role.role), share: role.share, games: role.gamesPlayed, winRate: role.winRate, kda: role.kda.kda
+    });
+    return `${line}\n└ ${champions}`;
+  }).join('\n');
+}
+
+// Queues shown in the rank section (league-v4 queueType values)
+const RANKED_QUEUES = [
+  { queueType: 'RANKED_SOLO_5x5', peakKey: 'peakSolo' },
+  { queueType: 'RANKED_FLEX_SR', peakKey: 'peakFlex' }
+];
+
+// Format a tier/division/LP as e.g. "Gold II 45 LP"
+function formatRank(t, tier, division, lp) {
+  if (!tier || tier === 'UNRANKED') {
+    return t('common.unranked');
+  }
+  
+  const tierName = t('common.tiers')[tier] || tier.charAt(0) + tier.slice(1).toLowerCase();
+  // Master+ tiers have no divisions
+  const showDivision = division && YearEndRewindCalculator.getTierValue(tier) < YearEndRewindCalculator.getTierValue('MASTER');
+  return `${tierName}${showDivision ? ` ${division}` : ''} ${lp} LP`;
+}
+
+// Format current Solo/Duo and Flex rank plus the peak reconstructed from stored snapshots
+function formatRankInfo(t, rankInfo) {
+  if (!rankInfo.current) {
+    return t('lolstats.stats.rankUnavailable');
+  }
+  
+  const lines = RANKED_QUEUES.map(({ queueType, peakKey }) => {
+    const label = t('common.rankedQueues')[queueType] || queueType;
+    const entry = rankInfo.current.find(e => e.queueType === queueType);
+    if (!entry) {
+      return t('lolstats.stats.unrankedLine', { queue: label });
+    }
+    
+    const games = entry.wins + entry.losses;
+    const queueWinRate = games > 0 ? Math.round((entry.wins / games) * 100) : 0;
+    let line = t('lolstats.stats.rankLine', {
+      queue: label,
+      rank: formatRank(t, entry.tier, entry.rank, entry.leaguePoints),
+      wins: entry.wins,
+      losses: entry.losses,
+      winRate: queueWinRate
+    });
+    
+    const peak = rankInfo[peakKey];
+    if (peak && peak.snapshotCount > 0) {
+      line += `\n${t('lolstats.stats.peakLine', { rank: formatRank(t, peak.tier, peak.division, peak.lp), date: t.date(peak.trackedSince) })}`;
+    }
+    return line;
+  });
+  
+  return lines.join('\n');
+}
+
+// Format champion mastery: top champions, points gained, new levels and mastery vs ranked play
+function formatMasteryInsights(t, insights) {
+  if (!insights) {
+    return t('lolstats.stats.masteryUnavailable');
+  }
+  if (insights.topMastery.length === 0) {
+    return t('lolstats.stats.noMastery');
+  }
+  
+  const lines = insights.topMastery.map(m => t('lolstats.stats.masteryLine', {
+    champion: getChampionName(t, m.championId), level: m.championLevel, points: m.championPoints.toLocaleString()
+  }));
+  
+  if (insights.totalPointsGained !== null) {
+    const gains = insights.topGains.map(g => `${getChampionName(t, g.championId)} +${g.pointsGained.toLocaleString()}`).join(', ');
+    const gained = t('lolstats.stats.masteryGained', { points: insights.totalPointsGained.toLocaleString(), date: t.date(insights.baselineTimestamp) });
+    lines.push(`${gained}${gains ? ` (${gains})` : ''}`);
+  }
+  if (insights.newLevels.length > 0) {
+    const levels = insights.newLevels.slice(0, 3).map(l => `${getChampionName(t, l.championId)} ${l.fromLevel}→${l.toLevel}`).join(', ');
+    const more = insights.newLevels.length > 3 ? t('lolstats.stats.more', { count: insights.newLevels.length - 3 }) : '';
+    lines.push(`${t('lolstats.stats.newLevels', { levels })}${more}`);
+  }
+  if (insights.outpacing.length > 0) {
+    const outpacing = insights.outpacing.map(o => t('lolstats.stats.outpacingItem', {
+      champion: getChampionName(t, o.championId), masteryShare: o.masteryShare, rankedShare: o.rankedShare
+    })).join(', ');
+    lines.push(t('lolstats.stats.secretMains', { list: outpacing }));
+  }
+  
+  return lines.join('\n');
+}
+
+// Format a signed number with an explicit + for positive values
+function formatSigned(value) {
+  return value > 0 ? `+${value.toLocaleString()}` : value.toLocaleString();
+}
+
+// Format nemesis and favourite-victim lane matchups
+function formatMatchups(t, analysis) {
+  if (analysis.nemeses.length === 0 && analysis.favouriteVictims.length === 0) {
+    return t('lolstats.stats.noMatchups');
+  }
+  
+  const formatMatchup = m => t('lolstats.stats.matchupLine', {
+    champion: getChampionName(t, m.championId),
+    wins: m.wins,
+    losses: m.losses,
+    winRate: m.winRate,
+    gold: formatSigned(m.avgGoldDiff),
+    cs: formatSigned(m.avgCsDiff)
+  });
+  
+  const lines = [];
+  if (analysis.nemeses.length > 0) {
+    lines.push(t('lolstats.stats.nemesis'));
+    analysis.nemeses.forEach(m => lines.push(formatMatchup(m)));
+  }
+  if (analysis.favouriteVictims.length > 0) {
+    lines.push(t('lolstats.stats.favouriteVictims'));
+    analysis.favouriteVictims.forEach(m => lines.push(formatMatchup(m)));
+  }
+  
+  return lines.join('\n');
+}
+
+// Format frequent teammates with win rate plus best/worst duo
+function formatTeammates(t, analysis) {
+  if (analysis.teammates.length === 0) {
+    return t('lolstats.stats.noTeammates');
+  }
+  
+  const name = teammate => teammate.riotId || t('common.unknownPlayer');
+  const lines = analysis.teammates.map(teammate => 
+    t('lolstats.stats.teammateLine', { name: name(teammate), games: teammate.games, winRate: teammate.winRate })
+  );
+  
+  if (analysis.bestDuo && analysis.worstDuo && analysis.bestDuo.winRate !== analysis.worstDuo.winRate) {
+    lines.push(t('lolstats.stats.bestDuo', { name: name(analysis.bestDuo), winRate: analysis.bestDuo.winRate, games: analysis.bestDuo.games }));
+    lines.push(t('lolstats.stats.worstDuo', { name: name(analysis.worstDuo), winRate: analysis.worstDuo.winRate, games: analysis.worstDuo.games }));
+  }
+  
+  return lines.join('\n');
+}
+
+// Time-of-day buckets in display order (labels and phrases come from the locale files)
+const TIME_OF_DAY_PERIODS = ['morning', 'afternoon', 'evening', 'afterMidnight'];
+
+// Format total play time, busiest month/day and a monthly games sparkline
+function formatActivity(t, activity) {
+  const lines = [t('lolstats.stats.hoursOnRift', { hours: activity.totalHours })];
+  
+  if (activity.busiestMonth) {
+    const { month, games, winRate } = activity.busiestMonth;
+    lines.push(t('lolstats.stats.busiestMonth', { month: t('common.months')[month], games, winRate }));
+  }
+  if (activity.busiestWeekday) {
+    const { weekday, games, winRate } = activity.busiestWeekday;
+    lines.push(t('lolstats.stats.favouriteDay', { day: t('common.weekdays')[weekday], games, winRate }));
+  }
+  if (activity.busiestDate) {
+    lines.push(t('lolstats.stats.busiestDate', {
+      games: activity.busiestDate.games,
+      date: t.date(moment(activity.busiestDate.date, 'YYYY-MM-DD'), 'meta.shortDateFormat')
+    }));
+  }
+  
+  // Monthly sparkline (one bar per month, scaled to the busiest month)
+  const bars = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+  const maxGames = Math.max(...activity.months.map(m => m.games));
+  if (maxGames > 0) {
+    const sparkline = activity.months.map(m => (m.games === 0 ? ' ' : bars[Math.min(bars.length - 1, Math.floor((m.games / maxGames) * bars.length))])).join(' ');
+    lines.push(`\`\`\`\n${t('common.monthInitials')}\n${sparkline}\n\`\`\``);
+  }
+  
+  return lines.join('\n');
+}
+
+// Format a weekday x 4-hour-block heatmap with emoji squares
+function formatHeatmap(t, activity) {
+  const levels = ['⬛', '🟦', '🟩', '🟨', '🟧', '🟥'];
+  const maxGames = Math.max(...activity.heatmap.map(row => Math.max(...row)));
+  if (maxGames === 0) {
+    return t('lolstats.stats.noGames');
+  }
+  
+  const weekdays = t('common.weekdaysShort');
+  const rows = activity.heatmap.map((row, weekday) => {
+    const cells = row.map(games => (games === 0 ? levels[0] : levels[Math.max(1, Math.ceil((games / maxGames) * (levels.length - 1)))]));
+    return `\`${weekdays[weekday]}\` ${cells.join('')}`;
+  });
+  
+  rows.push(t('lolstats.stats.heatmapColumns'));
+  rows.push(t('lolstats.stats.heatmapLegend', { levels: levels.join('') }));
+  return rows.join('\n');
+}
+
+// Format win rate per time of day plus a best/worst insight
+function formatTimeOfDay(t, activity) {
+  const labels = t('lolstats.timeOfDay');
+  const phrases = t('lolstats.timeOfDayPhrases');
+  const lines = TIME_OF_DAY_PERIODS.map(period => {
+    const b = activity.timeOfDay[period];
+    return b.games > 0
+      ? t('lolstats.stats.timeOfDayLine', { label: labels[period], games: b.games, winRate: b.winRate })
+      : t('lolstats.stats.timeOfDayNoGames', { label: labels[period] });
+  });
+  
+  if (activity.bestTimeOfDay && activity.worstTimeOfDay && activity.bestTimeOfDay !== activity.worstTimeOfDay) {
+    lines.push(t('lolstats.stats.timeOfDayInsight', { best: phrases[activity.bestTimeOfDay], worst: phrases[activity.worstTimeOfDay] }));
+  }
+  
+  return lines.join('\n');
+}
+
+// Format streaks, multikills and milestones as one line per highlight
+function formatHighlights(t, highlights) {
+  const lines = [];
+  const { longestWinStreak, longestLossStreak, pentaKills, quadraKills, firstBloods, milestones } = highlights;
+  const formatStreak = streak => ({
+    length: streak.length, start: t.date(streak.startDate), end: t.date(streak.endDate), matchId: streak.endMatchId
+  });
+  const formatMatchIds = matchIds => `${matchIds.slice(0, 3).map(id => `\`${id}\``).join(', ')}${matchIds.length > 3 ? ', …' : ''}`;
+  
+  if (longestWinStreak.length > 0) {
+    lines.push(t('lolstats.stats.longestWinStreak', formatStreak(longestWinStreak)));
+  }
+  if (longestLossStreak.length > 0) {
+    lines.push(t('lolstats.stats.longestLossStreak', formatStreak(longestLossStreak)));
+  }
+  if (pentaKills.count > 0) {
+    lines.push(t('lolstats.stats.pentaKills', { count: pentaKills.count, matches: formatMatchIds(pentaKills.matchIds) }));
+  }
+  if (quadraKills.count > 0) {
+    lines.push(t('lolstats.stats.quadraKills', { count: quadraKills.count, matches: formatMatchIds(quadraKills.matchIds) }));
+  }
+  lines.push(t('lolstats.stats.firstBloods', { count: firstBloods.count }));
+  milestones.forEach(milestone => {
+    lines.push(t('lolstats.stats.milestone', {
+      game: milestone.game, date: t.date(milestone.gameCreation), champion: getChampionName(t, milestone.championId), matchId: milestone.matchId
+    }));
+  });
+  
+  return lines.join('\n');
+}
+
+// Format the best single game of the season
+function formatBestGame(t, bestGame) {
+  if (!bestGame) {
+    return t('lolstats.stats.noGames');
+  }
+  
+  return t('lolstats.stats.bestGameLine', {
+    champion: getChampionName(t, bestGame.championId),
+    kills: bestGame.kills,
+    deaths: bestGame.deaths,
+    assists: bestGame.assists,
+    kda: bestGame.kda,
+    result: t(bestGame.win ? 'lolstats.stats.victory' : 'lolstats.stats.defeat'),
+    date: t.date(bestGame.gameCreation),
+    matchId: bestGame.matchId
+  });
+}
+
+// Format year-over-year deltas against the previous season's stored rewind
+function formatYearOverYear(t, comparison, seasonInfo) {
+  if (!comparison) {
+    return t('lolstats.yearOverYear.missing', { season: seasonInfo.season - 1 });
+  }
+  
+  const lines = [
+    t('lolstats.yearOverYear.games', { current: comparison.games.current, delta: formatSigned(comparison.games.delta) }),
+    t('lolstats.yearOverYear.winRate', { current: comparison.winRate.current, delta: formatSigned(comparison.winRate.delta) }),
+    t('lolstats.yearOverYear.kda', { current: comparison.kda.current, delta: formatSigned(comparison.kda.delta) })
+  ];
+  
+  const pool = comparison.championPool;
+  let poolLine = t('lolstats.yearOverYear.championPool', { current: pool.current, delta: formatSigned(pool.delta) });
+  if (pool.newFavourites.length > 0) {
+    poolLine += `\n${t('lolstats.yearOverYear.newFavourites', { list: pool.newFavourites.map(id => getChampionName(t, id)).join(', ') })}`;
+  }
+  if (pool.dropped.length > 0) {
+    poolLine += `\n${t('lolstats.yearOverYear.benched', { list: pool.dropped.map(id => getChampionName(t, id)).join(', ') })}`;
+  }
+  lines.push(poolLine);
+  
+  const roles = comparison.roles;
+  if (roles.currentMain && roles.previousMain && roles.currentMain !== roles.previousMain) {
+    lines.push(t('lolstats.yearOverYear.mainRole', { previous: getRoleLabel(t, roles.previousMain), current: getRoleLabel(t, roles.currentMain) }));
+  } else if (roles.changes.length > 0 && roles.changes[0].delta !== 0) {
+    const change = roles.changes[0];
+    lines.push(t('lolstats.yearOverYear.roleShift', { role: getRoleLabel(t, change.role), previous: change.previousShare, current: change.currentShare }));
+  }
+  
+  const rank = comparison.rank;
+  if (rank.direction) {
+    lines.push(t('lolstats.yearOverYear.peak', {
+      previous: formatRank(t, rank.previous.tier, rank.previous.division, rank.previous.lp),
+      current: formatRank(t, rank.current.tier, rank.current.division, rank.current.lp),
+      direction: t('lolstats.rankDirections')[rank.direction]
+    }));
+  }
+  
+  return lines.join('\n');
+}
+
+// Embed fields for every rewind section
+// Keyed so both the single summary embed and the story pages can pick the sections they show
+function buildRewindFields(t, rewind, yearOverYear) {
+  const {
+    seasonInfo, totalGames, winRate, kdaStats, mostPlayedChampions, queueBreakdown, rankInfo, masteryInsights,
+    roleBreakdown, highlights, matchupAnalysis, teammateAnalysis, activity
+  } = rewind;
+  const field = (key, value, inline = false, params = {}) => ({ name: t(`lolstats.fields.${key}`, params), value, inline });
+  
+  return {
+    totalGames: field('totalGames', t('lolstats.fields.totalGamesValue', { count: totalGames }), true),
+    winRate: field('winRate', `${winRate}%`, true),
+    kda: field('kda', `${kdaStats.kills}/${kdaStats.deaths}/${kdaStats.assists} (KDA: ${kdaStats.kda})`, true),
+    champions: field('champions', mostPlayedChampions.map(champ => t('lolstats.stats.championLine', {
+      champion: getChampionName(t, champ.championId), games: champ.gamesPlayed, winRate: champ.winRate
+    })).join('\n') || t('lolstats.stats.noChampionData')),
+    queues: field('queues', queueBreakdown.map(q => t('lolstats.stats.queueLine', {
+      queue: QueueFilters.getQueueName(q.queueId, t), games: q.gamesPlayed, winRate: q.winRate
+    })).join('\n') || t('lolstats.stats.noQueueData')),
+    rank: field('rank', formatRankInfo(t, rankInfo)),
+    mastery: field('mastery', formatMasteryInsights(t, masteryInsights)),
+    roles: field('roles', formatRoleBreakdown(t, roleBreakdown)),
+    highlights: field('highlights', formatHighlights(t, highlights)),
+    bestGame: field('bestGame', formatBestGame(t, highlights.bestGame)),
+    matchups: field('matchups', formatMatchups(t, matchupAnalysis), false, { minGames: matchupAnalysis.minGames }),
+    teammates: field('teammates', formatTeammates(t, teammateAnalysis)),
+    activity: field('activity', formatActivity(t, activity)),
+    heatmap: field('heatmap', formatHeatmap(t, activity), false, { timezone: activity.timezone }),
+    timeOfDay: field('timeOfDay', formatTimeOfDay(t, activity)),
+    yearOverYear: field('yearOverYear', formatYearOverYear(t, yearOverYear, seasonInfo), false, { season: seasonInfo.season - 1 })
+  };
+}
+
+// Headline rank for the summary card: current Solo/Duo, then Flex, then the tracked season peak
+function getCardRankLabel(rankInfo) {
+  // The card is always English (see buildCardAttachment)
+  const t = I18n.getTranslator(I18n.defaultLocale);
+  const current = rankInfo.current || [];
+  
+  for (const { queueType } of RANKED_QUEUES) {
+    const entry = current.find(e => e.queueType === queueType);
+    if (entry) {
+      return formatRank(t, entry.tier, entry.rank, entry.leaguePoints);
+    }
+  }
+  
+  for (const { peakKey } of RANKED_QUEUES) {
+    const peak = rankInfo[peakKey];
+    if (peak && peak.snapshotCount > 0 && peak.tier !== 'UNRANKED') {
+      return formatRank(t, peak.tier, peak.division, peak.lp);
+    }
+  }
+  
+  return t('common.unranked');
+}
+
+// Render the shareable summary card (PNG attachment) for a rewind
+// Text on the card stays English: the bundled DejaVu fonts have no Thai glyphs
+async function buildCardData(header, rewind) {
+  const topChampions = rewind.mostPlayedChampions.slice(0, 3);
+  const icons = await AssetCache.getChampionIcons(topChampions.map(champ => champ.championId));
+  
+  return {
+    riotId: header.displayName,
+    seasonLabel: header.seasonInfo.label,
+    queueLabel: header.queueFilter.label,
+    totalGames: rewind.totalGames,
+    winRate: rewind.winRate,
+    kda: rewind.kdaStats,
+    rankLabel: getCardRankLabel(rewind.rankInfo),
+    champions: topChampions.map(champ => ({
+      championId: champ.championId,
+      name: ChampionNames.getName(champ.championId),
+      gamesPlayed: champ.gamesPlayed,
+      winRate: champ.winRate,
+      icon: icons[champ.championId]
+    }))
+  };
+}
+
+async function buildCardAttachment(header, rewind) {
+  const png = await RewindCard.render(await buildCardData(header, rewind));
+  return new AttachmentBuilder(png, { name: RewindCard.fileName });
+}
+
+function getChartsTitle(header) {
+  return `${header.displayName} • ${header.seasonInfo.label} • ${header.queueFilter.label}`;
+}
+
+// Render the season trend charts (rolling win rate, games per week, LP history) as a PNG attachment
+async function buildChartsAttachment(header, rewind) {
+  const png = await RewindCharts.render(rewind.trends, header.seasonInfo, getChartsTitle(header));
+  return new AttachmentBuilder(png, { name: RewindCharts.fileName });
+}
+
+// JSON + CSV files of the rewind (export option)
+function buildExportAttachments(header, rewind, matches, yearOverYear) {
+  const fileBase = RewindExport.getFileBase(header);
+  return [
+    new AttachmentBuilder(Buffer.from(RewindExport.buildJson(header, rewind, matches, yearOverYear)), { name: `${fileBase}.json` }),
+    new AttachmentBuilder(Buffer.from(RewindExport.buildCsv(matches, header.timezone)), { name: `${fileBase}-matches.csv` })
+  ];
+}
+
+// Embed showing the trend charts image (chart labels are English like the card)
+function buildChartsEmbed(t, rewind) {
+  const { rollingWinRate, gamesPerWeek, lpHistory } = rewind.trends;
+  const busiestWeek = gamesPerWeek.reduce((best, week) => (!best || week.games > best.games ? week : best), null);
+  const lines = [];
+  
+  if (rollingWinRate.points.length > 0) {
+    const winRates = rollingWinRate.points.map(p => p.winRate);
+    lines.push(t('lolstats.charts.rollingWinRate', { window: rollingWinRate.windowSize, min: Math.min(...winRates), max: Math.max(...winRates) }));
+  }
+  if (busiestWeek && busiestWeek.games > 0) {
+    lines.push(t('lolstats.charts.busiestWeek', { games: busiestWeek.games, date: t.date(busiestWeek.weekStart) }));
+  }
+  lines.push(lpHistory.points.length > 0
+    ? t('lolstats.charts.lpHistory', { count: lpHistory.points.length })
+    : t('lolstats.charts.lpHistoryEmpty'));
+  
+  return {
+    title: t('lolstats.charts.title'),
+    description: lines.join('\n'),
+    color: 0x0AC8B9,
+    image: { url: `attachment://${RewindCharts.fileName}` }
+  };
+}
+
+// Everything in a single embed (`view: summary`)
+function buildSummaryEmbed(t, header, fields) {
+  const { displayName, seasonInfo, queueFilter } = header;
+  
+  return {
+    title: t('lolstats.summary.title', { name: displayName, season: seasonInfo.label }),
+    description: t('lolstats.summary.description', { season: seasonInfo.label, queue: QueueFilters.getLabel(t, queueFilter.key) }),
+    color: 0x5865F2,
+    ...(header.cardUrl && { image: { url: header.cardUrl } }),
+    fields: [
+      fields.totalGames, fields.winRate, fields.kda, fields.champions, fields.queues, fields.rank, fields.mastery,
+      fields.roles, fields.highlights, fields.bestGame, fields.matchups, fields.teammates, fields.activity,
+      fields.heatmap, fields.timeOfDay, fields.yearOverYear
+    ],
+    footer: {
+      text: t('common.footer')
+    },
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Standalone HTML page (html option): every summary section plus the card and charts as inline SVG
+async function buildHtmlPage(t, header, rewind, fields) {
+  const summaryEmbed = buildSummaryEmbed(t, header, fields);
+  const chartsEmbed = buildChartsEmbed(t, rewind);
+  const chartsSvg = RewindCharts.buildSvg(rewind.trends, RewindCharts.getRange(rewind.trends, header.seasonInfo), getChartsTitle(header));
+  
+  return RewindHtml.render({
+    locale: t.locale,
+    title: summaryEmbed.title,
+    description: summaryEmbed.description,
+    footer: summaryEmbed.footer.text,
+    sections: [...summaryEmbed.fields, { name: chartsEmbed.title, value: chartsEmbed.description }],
+    images: [RewindCard.buildSvg(await buildCardData(header, rewind)), chartsSvg]
+  });
+}
+
+// Send the export/html files as a separate message (send: ephemeral followUp, or a fresh DM for jobs)
+// Story page changes replace a message's attachments, so the files can't ride on the rewind itself
+async function sendExports(send, t, header, { rewind, matches, yearOverYear, fields }, { data, html }) {
+  const fileBase = RewindExport.getFileBase(header);
+  const files = [];
+  const lines = [];
+  
+  if (data) {
+    files.push(...buildExportAttachments(header, rewind, matches, yearOverYear));
+    lines.push(t('lolstats.export.ready', { count: matches.length }));
+  }
+  
+  let page = null;
+  if (html) {
+    try {
+      page = await buildHtmlPage(t, header, rewind, fields);
+      files.push(new AttachmentBuilder(Buffer.from(page), { name: `${fileBase}.html` }));
+      lines.push(t('lolstats.export.htmlReady'));
+    } catch (htmlError) {
+      Logger.warn('Could not build rewind page:', htmlError.message);
+    }
+  }
+  
+  if (files.length === 0) return;
+  
+  try {
+    const message = await send({ content: lines.join('\n'), files });
+    if (!message) {
+      throw new Error('No delivery method available');
+    }
+  } catch (exportError) {
+    Logger.warn('Could not send rewind export:', exportError.message);
+    // Keep the page on disk so it can still be handed out
+    if (page) {
+      RewindHtml.save(`${fileBase}.html`, page);
+    }
+  }
+}
+
+// Custom ID prefix for buttons and menus (routed back to this command by interactionCreate)
+const COMPONENT_PREFIX = 'lolstats';
+
+// Story mode: one page per chapter of the season, Spotify-Wrapped style
+// Pages: intro, totals, champions, roles, streaks, best game, rank, trends, outro
+// attachments: { card, charts } (either may be null); each page carries the images it shows
+function buildStoryPages(t, header, rewind, fields, attachments = {}) {
+  const { displayName, seasonInfo, queueFilter } = header;
+  const { totalGames, winRate, mostPlayedChampions, roleBreakdown, highlights, activity } = rewind;
+  const timestamp = new Date().toISOString();
+  const page = (key, emoji, color, embed, files = []) => ({
+    label: t(`lolstats.pages.${key}.label`),
+    emoji,
+    embed: { color, ...embed, footer: { text: t('common.footer') }, timestamp },
+    files: files.filter(Boolean)
+  });
+  
+  const topChampion = mostPlayedChampions[0];
+  const mainRole = roleBreakdown[0];
+  const longestWinStreak = highlights.longestWinStreak.length;
+  
+  return [
+    page('intro', '🎬', 0x5865F2, {
+      title: t('lolstats.pages.intro.title', { name: displayName, season: seasonInfo.label }),
+      description: t('lolstats.pages.intro.description', {
+        season: seasonInfo.label,
+        start: seasonInfo.seasonStartDate,
+        end: seasonInfo.seasonEndDate,
+        games: totalGames,
+        queue: QueueFilters.getLabel(t, queueFilter.key),
+        hours: activity.totalHours
+      }),
+      ...(header.cardUrl && { image: { url: header.cardUrl } })
+    }, [attachments.card]),
+    page('numbers', '📊', 0x3BA55C, {
+      title: t('lolstats.pages.numbers.title'),
+      description: t('lolstats.pages.numbers.description', { games: totalGames, winRate }),
+      fields: [fields.totalGames, fields.winRate, fields.kda, fields.queues, fields.activity, fields.heatmap, fields.timeOfDay]
+    }),
+    page('champions', '👑', 0xF1C40F, {
+      title: t('lolstats.pages.champions.title'),
+      description: topChampion
+        ? t('lolstats.pages.champions.description', { champion: getChampionName(t, topChampion.championId), games: topChampion.gamesPlayed })
+        : t('lolstats.pages.champions.empty'),
+      fields: [fields.champions, fields.mastery, fields.matchups]
+    }),
+    page('roles', '🧭', 0x1ABC9C, {
+      title: t('lolstats.pages.roles.title'),
+      description: mainRole
+        ? t('lolstats.pages.roles.description', { role: getRoleLabel(t, mainRole.role), share: mainRole.share })
+        : t('lolstats.pages.roles.empty'),
+      fields: [fields.roles]
+    }),
+    page('streaks', '🔥', 0xE67E22, {
+      title: t('lolstats.pages.streaks.title'),
+      description: longestWinStreak > 1
+        ? t('lolstats.pages.streaks.description', { count: longestWinStreak })
+        : t('lolstats.pages.streaks.empty'),
+      fields: [fields.highlights]
+    }),
+    page('bestGame', '🌟', 0x9B59B6, {
+      title: t('lolstats.pages.bestGame.title'),
+      description: t('lolstats.pages.bestGame.description'),
+      fields: [fields.bestGame]
+    }),
+    page('rank', '🏅', 0xE91E63, {
+      title: t('lolstats.pages.rank.title'),
+      description: t('lolstats.pages.rank.description'),
+      fields: [fields.rank]
+    }),
+    attachments.charts && page('trends', '📈', 0x0AC8B9, {
+      ...buildChartsEmbed(t, rewind),
+      title: t('lolstats.charts.storyTitle')
+    }, [attachments.charts]),
+    page('outro', '🎉', 0x5865F2, {
+      title: t('lolstats.pages.outro.title', { season: seasonInfo.label }),
+      description: t('lolstats.pages.outro.description', { name: displayName }),
+      fields: [fields.yearOverYear, fields.teammates],
+      ...(header.cardUrl && { image: { url: header.cardUrl } })
+    }, [attachments.card])
+  ].filter(Boolean);
+}
+
+// Rewinds that can still be shared publicly, keyed by the message ID of the (ephemeral) result
+// Kept in memory only - after a restart the share button reports the rewind as expired
+const SHAREABLE_TTL = 60 * 60 * 1000;
+const shareableRewinds = new Map();
+
+// "Share publicly" button shown below a finished rewind
+function buildShareRow(t) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${COMPONENT_PREFIX}:share`)
+      .setLabel(t('lolstats.share.button'))
+      .setEmoji('📣')
+      .setStyle(ButtonStyle.Success)
+  );
+}
+
+// Remember a delivered rewind so its share button can repost it (drops expired entries)
+function registerShareable(messageId, shareable) {
+  const now = Date.now();
+  for (const [id, entry] of shareableRewinds) {
+    if (now - entry.createdAt > SHAREABLE_TTL) {
+      shareableRewinds.delete(id);
+    }
+  }
+  shareableRewinds.set(messageId, { ...shareable, createdAt: now });
+}
+
+// Repost a rewind (summary embed + card) as a normal channel message attributed to the user
+// Respects the guild's sharing setting (see /rewindsettings)
+async function shareRewind(interaction) {
+  const t = I18n.forInteraction(interaction);
+  const shareable = shareableRewinds.get(interaction.message?.id);
+  if (!shareable) {
+    await interaction.reply({ content: t('lolstats.share.expired'), flags: MessageFlags.Ephemeral });
+    return;
+  }
+  if (interaction.user.id !== shareable.userId) {
+    await interaction.reply({ content: t('lolstats.share.notOwner'), flags: MessageFlags.Ephemeral });
+    return;
+  }
+  
+  const settings = GuildSettings.get(interaction.guildId);
+  if (!interaction.guildId || settings.sharing === 'disabled') {
+    await interaction.reply({ content: t('lolstats.share.disabled'), flags: MessageFlags.Ephemeral });
+    return;
+  }
+  if (shareable.sharedUrl) {
+    await interaction.reply({ content: t('lolstats.share.alreadyShared', { url: shareable.sharedUrl }), flags: MessageFlags.Ephemeral });
+    return;
+  }
+  
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  
+  const channelId = settings.sharing === 'channel' ? settings.shareChannelId : interaction.channelId;
+  const channel = (settings.sharing !== 'channel' && interaction.channel) ||
+    await interaction.client.channels.fetch(channelId).catch(() => null);
+  
+  if (!channel || typeof channel.send !== 'function') {
+    await interaction.editReply(t('lolstats.share.channelUnavailable'));
+    return;
+  }
+  
+  try {
+    const message = await channel.send({
+      content: t('lolstats.share.message', { user: interaction.user, season: shareable.seasonLabel }),
+      embeds: [shareable.embed],
+      files: shareable.cardPng ? [new AttachmentBuilder(shareable.cardPng, { name: RewindCard.fileName })] : [],
+      allowedMentions: { parse: [] }
+    });
+    shareable.sharedUrl = message.url;
+    Logger.success(`Rewind shared by ${interaction.user.tag} in channel ${channel.id}`);
+    await interaction.editReply(t('lolstats.share.success', { channel, url: message.url }));
+  } catch (error) {
+    Logger.warn('Could not share rewind:', error.message);
+    // 50001 = Missing Access, 50013 = Missing Permissions
+    const reason = t(error.code === 50001 || error.code === 50013 ? 'lolstats.share.noPermission' : 'lolstats.share.error');
+    await interaction.editReply(t('lolstats.share.failed', { reason }));
+  }
+}
+
+// Discord user a job belongs to, in the shape StoryPaginator.start() expects from an interaction
+function getJobOwner(job) {
+  return { user: { id: job.userId }, guildId: job.guildId, locale: job.locale };
+}
+
+// Send a job's message: edit the original reply while its token lasts, otherwise a fresh DM (or a
+// message in the channel the command was used in)
+async function deliverJobMessage(job, interaction, t, content) {
+  if (interaction) {
+    return safeEditReply(interaction, content, typeof content === 'string' ? { flags: MessageFlags.Ephemeral } : {});
+  }
+  
+  const payload = typeof content === 'string' ? { content } : content;
+  const withIntro = intro => ({ ...payload, content: [intro, payload.content].filter(Boolean).join('\n\n') });
+  return RewindJobQueue.sendFresh(
+    job,
+    withIntro(t('lolstats.delivery.jobDm', { name: job.displayName })),
+    withIntro(t('lolstats.delivery.jobChannel', { user: `<@${job.userId}>`, name: job.displayName })).content
+  );
+}
+
+// Error message for a failed lookup or rewind
+function describeError(t, error, riotId) {
+  let errorMessage = t('lolstats.errors.fetchFailed');
+  
+  if (error.response) {
+    if (error.response.status === 404) {
+      errorMessage = t('lolstats.errors.summonerNotFound', { riotId });
+    } else if (error.response.status === 403) {
+      errorMessage = `${t('lolstats.errors.authGeneric')}\n\n${t('lolstats.errors.contactAdmin')}`;
+    } else if (error.response.status === 429) {
+      errorMessage = t('lolstats.errors.rateLimited');
+    } else {
+      errorMessage = t('lolstats.errors.apiError', {
+        status: error.response.status,
+        statusText: error.response.statusText || t('lolstats.errors.unknownError')
+      });
+    }
+  } else if (error.message) {
+    // Handle timeout and network errors
+    if (error.message.includes('timeout') || error.code === 'ECONNABORTED') {
+      errorMessage = t('lolstats.errors.timeout');
+    } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+      errorMessage = t('lolstats.errors.networkUnreachable');
+    } else {
+      errorMessage = t('lolstats.errors.generic', { message: error.message });
+    }
+  }
+  
+  return errorMessage;
+}
+
+// Rewind jobs (see RewindJobQueue): match collection runs as a persistent job so long seasons survive
+// expired interactions and restarts; these handlers present the result
+// interaction is null when the job outlived its token or was resumed after a restart
+
+// Progress updates only go to a live interaction - /rewindstatus covers the rest
+async function reportJobProgress(job, interaction, processedCount, totalCount, foundCount) {
+  if (!interaction) return;
+  
+  const progressPercent = Math.round((processedCount / totalCount) * 100);
+  const result = await safeEditReply(interaction, I18n.getTranslator(job.locale)('lolstats.progress.matches', { processed: processedCount, total: totalCount, percent: progressPercent, found: foundCount }), {
+    flags: MessageFlags.Ephemeral
+  });
+  
+  // If we can't update (token expired), log but continue processing
+  if (result === null) {
+    Logger.warn('Cannot send progress update (interaction may have expired), continuing processing...');
+  }
+}
+
+async function reportJobFailure(job, interaction, error) {
+  const t = I18n.getTranslator(job.locale);
+  await deliverJobMessage(job, interaction, t, describeError(t, error, job.params.riotId));
+}
+
+// Calculate the rewind from the collected matches and deliver it
+async function deliverRewind(job, interaction, matches) {
+  const t = I18n.getTranslator(job.locale);
+  const { displayName } = job;
+  const { timezone, view, exportData, htmlPage, leagueEntries, championMasteries, snapshotsFetchedAt } = job.params;
+  const seasonInfo = YearEndRewindCalculator.getSeasonInfo(job.season, job.split);
+  const queueFilter = QueueFilters.getFilter(job.queue);
+  
+  // Champion names may not be loaded yet when the job was resumed after a restart
+  await ChampionNames.initialize();
+  await ChampionNames.loadLocale(I18n.getDataDragonLocale(t.locale));
+  
+  if (matches.length === 0) {
+    await deliverJobMessage(job, interaction, t, t('lolstats.results.noSeasonMatches', {
+      name: displayName,
+      queue: QueueFilters.getLabel(t, queueFilter.key),
+      season: seasonInfo.label,
+      start: seasonInfo.seasonStartDate,
+      end: seasonInfo.seasonEndDate
+    }));
+    return;
+  }
+  
+  // Calculate season statistics
+  const rewind = RewindService.computeRewind(job.puuid, matches, seasonInfo, { timezone, leagueEntries, championMasteries, snapshotsFetchedAt });
+  const { totalGames, winRate, kdaStats, mostPlayedChampions, roleBreakdown, highlights } = rewind;
+  
+  // Compare against the previous season's rewind (also stores this one for next year)
+  const yearOverYear = RewindService.compareWithPreviousSeason(job.puuid, rewind, queueFilter.key);
+  
+  // Validate statistics
+  Logger.info(`Statistics calculated:`, {
+    totalGames,
+    winRate: `${winRate}%`,
+    kda: `${kdaStats.kills}/${kdaStats.deaths}/${kdaStats.assists} (${kdaStats.kda})`,
+    topChampions: mostPlayedChampions.length,
+    mainRole: roleBreakdown.length > 0 ? roleBreakdown[0].role : 'NONE',
+    longestWinStreak: highlights.longestWinStreak.length,
+    pentaKills: highlights.pentaKills.count,
+    yearOverYear: yearOverYear ? `vs ${yearOverYear.previousSeason}` : 'none'
+  });
+  
+  // Shareable summary card - optional, the rewind is still delivered if rendering fails
+  let cardAttachment = null;
+  try {
+    cardAttachment = await buildCardAttachment({ displayName, seasonInfo, queueFilter }, rewind);
+  } catch (cardError) {
+    Logger.warn('Could not render rewind card, sending the rewind without it:', cardError.message);
+  }
+  
+  // Trend charts - optional as well
+  let chartsAttachment = null;
+  try {
+    chartsAttachment = await buildChartsAttachment({ displayName, seasonInfo, queueFilter }, rewind);
+  } catch (chartsError) {
+    Logger.warn('Could not render trend charts, sending the rewind without them:', chartsError.message);
+  }
+  
+  // Prepare the response (story mode slideshow, or everything in one embed)
+  const header = { displayName, seasonInfo, queueFilter, cardUrl: cardAttachment ? `attachment://${RewindCard.fileName}` : null };
+  const fields = buildRewindFields(t, rewind, yearOverYear);
+  const storyPages = view === 'story'
+    ? buildStoryPages(t, header, rewind, fields, { card: cardAttachment, charts: chartsAttachment })
+    : null;
+  const summaryEmbed = buildSummaryEmbed(t, header, fields);
+  // Share button only where the server allows public posting (and only on the ephemeral reply -
+  // a rewind delivered by DM or to the channel has nothing to share from)
+  const canShare = !!interaction && !!interaction.guildId && GuildSettings.get(interaction.guildId).sharing !== 'disabled';
+  const extraRows = canShare ? [buildShareRow(t)] : [];
+  const response = storyPages
+    ? StoryPaginator.renderPage(COMPONENT_PREFIX, storyPages, 0, { extraRows, locale: t.locale })
+    : {
+      embeds: chartsAttachment ? [summaryEmbed, buildChartsEmbed(t, rewind)] : [summaryEmbed],
+      components: extraRows,
+      files: [cardAttachment, chartsAttachment].filter(Boolean)
+    };
+  
+  // Try to send final result, but don't throw if interaction expired
+  // Falls back to DM -> Channel -> Log (see deliverJobMessage and safeEditReply)
+  const result = await deliverJobMessage(job, interaction, t, response);
+  
+  if (result === null) {
+    // All fallback methods failed, log the results for debugging
+    Logger.warn('All delivery methods failed (interaction expired, DM disabled, channel unavailable)');
+    Logger.info('Stats calculated successfully but could not be delivered:', {
+      user: job.userId,
+      channel: job.channelId || 'unknown',
+      totalGames,
+      winRate: `${winRate}%`,
+      kda: `${kdaStats.kills}/${kdaStats.deaths}/${kdaStats.assists}`
+    });
+  } else {
+    Logger.success('Stats delivered successfully to user');
+    if (storyPages) {
+      StoryPaginator.start(interaction || getJobOwner(job), result, storyPages, COMPONENT_PREFIX, extraRows);
+    }
+    if (canShare && result.id) {
+      registerShareable(result.id, {
+        userId: interaction.user.id,
+        seasonLabel: seasonInfo.label,
+        embed: {
+          ...summaryEmbed,
+          author: { name: interaction.user.displayName || interaction.user.username || displayName, icon_url: interaction.user.displayAvatarURL?.() }
+        },
+        cardPng: cardAttachment ? cardAttachment.attachment : null
+      });
+    }
+    if (exportData || htmlPage) {
+      await sendExports(
+        payload => (interaction
+          ? interaction.followUp({ ...payload, flags: MessageFlags.Ephemeral })
+          : RewindJobQueue.sendFresh(job, payload, payload.content)),
+        t,
+        { displayName, puuid: job.puuid, seasonInfo, queueFilter, timezone },
+        { rewind, matches, yearOverYear, fields },
+        { data: exportData, html: htmlPage }
+      );
+    }
+  }
+}
+
+RewindJobQueue.registerHandler(COMPONENT_PREFIX, {
+  onProgress: reportJobProgress,
+  onComplete: deliverRewind,
+  onFailed: reportJobFailure
+});
+
 module.exports = {
   
   data: new SlashCommandBuilder()
@@ -161,8 +1080,9 @@ module.exports = {
     .setDescription('Get your League of Legends Year-end rewind statistics')
     .addStringOption(option => 
       option.setName('riot_id')
-        .setDescription('Your Riot ID (format: GameName#TagLine, e.g., "SummonerName#TAG1")')
-        .setRequired(true))
+        .setDescription('Your Riot ID (format: GameName#TagLine) - optional once you /link your account')
+        .setRequired(false)
+        .setAutocomplete(true))
     .addStringOption(option =>
       option.setName('region')
         .setDescription('Your account region (optional - helps find your account faster)')
@@ -180,15 +1100,76 @@ module.exports = {
           { name: '🇯🇵 Japan (JP1)', value: 'jp1' },
           { name: '🇦🇺 Oceania (OC1)', value: 'oc1' },
           { name: '🇸🇬 Singapore (SG2)', value: 'sg2' }
-        )),
+        ))
+    .addStringOption(option =>
+      option.setName('queue')
+        .setDescription('Which games to include (defaults to all ranked queues)')
+        .setRequired(false)
+        .addChoices(...QueueFilters.getChoices()))
+    .addIntegerOption(option =>
+      option.setName('season')
+        .setDescription('Season year to rewind (defaults to this year, or last year during January)')
+        .setRequired(false)
+        .setMinValue(2020)
+        .setMaxValue(2100))
+    .addIntegerOption(option =>
+      option.setName('split')
+        .setDescription('Only include one split of the season')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Split 1', value: 1 },
+          { name: 'Split 2', value: 2 },
+          { name: 'Split 3', value: 3 }
+        ))
+    .addStringOption(option =>
+      option.setName('timezone')
+        .setDescription('Timezone for your activity heatmap (e.g., "Asia/Manila", "Europe/Berlin") - defaults to UTC')
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('view')
+        .setDescription('How to show your rewind (defaults to story mode)')
+        .setRequired(false)
+        .addChoices(
+          { name: '📖 Story mode (one page at a time)', value: 'story' },
+          { name: '📋 Summary (everything in one message)', value: 'summary' }
+        ))
+    .addBooleanOption(option =>
+      option.setName('export')
+        .setDescription('Also attach your rewind as JSON and a CSV of every match (for spreadsheets)')
+        .setRequired(false))
+    .addBooleanOption(option =>
+      option.setName('html')
+        .setDescription('Also attach your rewind as a single web page (works offline, easy to archive)')
+        .setRequired(false)),
+  
+  // Riot ID suggestions (routed here by events/interactionCreate.js)
+  async autocomplete(interaction) {
+    await interaction.respond(Autocomplete.riotIdChoices(interaction));
+  },
+  
+  // Buttons and menus on rewind messages (routed here by events/interactionCreate.js)
+  async handleComponent(interaction) {
+    if (interaction.customId === `${COMPONENT_PREFIX}:share`) {
+      await shareRewind(interaction);
+      return;
+    }
+    
+    // Stories with a running collector handle their own navigation
+    if (interaction.customId.startsWith(`${COMPONENT_PREFIX}:story:`) && StoryPaginator.isActive(interaction.message?.id)) {
+      return;
+    }
+    
+    await interaction.reply({
+      content: I18n.forInteraction(interaction)('lolstats.expired'),
+      flags: MessageFlags.Ephemeral
+    });
+  },
   
   async execute(interaction) {
     // Defer reply immediately to prevent message flooding
     // All subsequent updates will edit this same message
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
-    
-    // Get user-provided region (optional)
-    const userRegion = interaction.options.getString('region');
+    const t = I18n.forInteraction(interaction);
     
     // Try to get riot_id, fallback to summoner_name for backward compatibility
     let riotId = interaction.options.getString('riot_id');
@@ -196,9 +1177,30 @@ module.exports = {
       riotId = interaction.options.getString('summoner_name');
     }
     
+    // Linked accounts (/link) can leave riot_id empty
+    const link = riotId ? null : AccountLinks.get(interaction.user.id);
+    if (link) {
+      riotId = link.riotId;
+    }
+    
+    // Get user-provided region (optional, defaults to the linked account's region)
+    const userRegion = interaction.options.getString('region') || (link ? link.region : null);
+    
+    // Get queue filter (optional, defaults to all ranked queues)
+    const queueFilter = QueueFilters.getFilter(interaction.options.getString('queue'));
+    
+    // Story mode (paged) or the classic single embed
+    const view = interaction.options.getString('view') || 'story';
+    
+    // Attach JSON/CSV exports of the rewind (optional)
+    const exportData = interaction.options.getBoolean('export') || false;
+    
+    // Attach a standalone HTML page of the rewind (optional)
+    const htmlPage = interaction.options.getBoolean('html') || false;
+    
     // Validate Riot ID format
     if (!riotId) {
-      await safeEditReply(interaction, '❌ Please provide a valid Riot ID.\n\n**Format:** `GameName#TagLine`\n**Example:** `SummonerName#TAG1`', {
+      await safeEditReply(interaction, t('lolstats.errors.noRiotId'), {
         flags: MessageFlags.Ephemeral
       });
       return;
@@ -207,7 +1209,7 @@ module.exports = {
     const trimmedRiotId = riotId.trim();
     
     if (trimmedRiotId.length === 0) {
-      await safeEditReply(interaction, '❌ Please provide a valid Riot ID.\n\n**Format:** `GameName#TagLine`\n**Example:** `SummonerName#TAG1`', {
+      await safeEditReply(interaction, t('lolstats.errors.invalidRiotId'), {
         flags: MessageFlags.Ephemeral
       });
       return;
@@ -216,14 +1218,14 @@ module.exports = {
     // Check if Riot ID has the correct format (must contain exactly one #)
     const hashCount = (trimmedRiotId.match(/#/g) || []).length;
     if (hashCount === 0) {
-      await safeEditReply(interaction, '❌ Invalid Riot ID format.\n\n**Required format:** `GameName#TagLine`\n**Example:** `SummonerName#TAG1`\n\nMake sure to include the `#` symbol and your tag line.\n\n**Note:** Riot IDs require both a game name and tag line separated by `#`.', {
+      await safeEditReply(interaction, t('lolstats.errors.missingHash'), {
         flags: MessageFlags.Ephemeral
       });
       return;
     }
     
     if (hashCount > 1) {
-      await safeEditReply(interaction, '❌ Invalid Riot ID format.\n\n**Required format:** `GameName#TagLine`\n**Example:** `SummonerName#TAG1`\n\nRiot ID should contain exactly one `#` symbol.', {
+      await safeEditReply(interaction, t('lolstats.errors.multipleHash'), {
         flags: MessageFlags.Ephemeral
       });
       return;
@@ -235,7 +1237,38 @@ module.exports = {
     const tagLine = parts[1] ? parts[1].trim() : '';
     
     if (parts.length !== 2 || gameName.length === 0 || tagLine.length === 0) {
-      await safeEditReply(interaction, `❌ Invalid Riot ID format.\n\n**Provided:** \`${trimmedRiotId}\`\n**Required format:** \`GameName#TagLine\`\n**Example:** \`SummonerName#TAG1\`\n\nBoth game name and tag line are required.`, {
+      await safeEditReply(interaction, t('lolstats.errors.incompleteRiotId', { riotId: trimmedRiotId }), {
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+    
+    // Validate timezone (optional, IANA name)
+    const timezoneInput = interaction.options.getString('timezone');
+    const timezone = timezoneInput ? timezoneInput.trim() : 'UTC';
+    if (!YearEndRewindCalculator.isValidTimezone(timezone)) {
+      await safeEditReply(interaction, t('lolstats.errors.unknownTimezone', { timezone }), {
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+    
+    // Resolve season/split (optional - defaults to the current season, or last season in January)
+    const requestedSeason = interaction.options.getInteger('season');
+    const requestedSplit = interaction.options.getInteger('split');
+    const seasonYear = requestedSeason || SeasonRegistry.getDefaultYear();
+    
+    if (seasonYear > moment.utc().year()) {
+      await safeEditReply(interaction, t('lolstats.errors.seasonNotStarted', { season: seasonYear, currentYear: moment.utc().year() }), {
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+    
+    const seasonInfo = YearEndRewindCalculator.getSeasonInfo(seasonYear, requestedSplit);
+    if (!seasonInfo) {
+      const splitCount = SeasonRegistry.getSplits(seasonYear).length;
+      await safeEditReply(interaction, t('lolstats.errors.invalidSplit', { season: seasonYear, split: requestedSplit, count: splitCount }), {
         flags: MessageFlags.Ephemeral
       });
       return;
@@ -253,12 +1286,15 @@ module.exports = {
       // Get summoner data using Riot ID (new recommended method)
       let summoner;
       try {
-        summoner = await RiotAPIService.getSummonerByRiotId(trimmedRiotId, userRegion);
+        // Linked accounts are looked up by PUUID so they keep working after a Riot ID rename
+        summoner = link
+          ? await RiotAPIService.getSummonerWithRiotId(link.puuid, userRegion)
+          : await RiotAPIService.getSummonerByRiotId(trimmedRiotId, userRegion);
       } catch (apiError) {
         // Handle validation errors from the service
         if (apiError.message && apiError.message.includes('Invalid Riot ID format')) {
           await interaction.editReply({
-            content: `❌ ${apiError.message}\n\n**Provided:** \`${trimmedRiotId}\`\n**Required format:** \`GameName#TagLine\`\n**Example:** \`SummonerName#TAG1\``,
+            content: t('lolstats.errors.serviceRiotId', { message: apiError.message, riotId: trimmedRiotId }),
             flags: MessageFlags.Ephemeral
           });
           return;
@@ -266,9 +1302,9 @@ module.exports = {
         
         // Handle API errors specifically
         if (apiError.response?.status === 404 || apiError.status === 404) {
-          const regionInfo = userRegion ? ` in region **${userRegion}**` : '';
-          const regionHint = userRegion ? '' : '\n💡 **Tip:** Try specifying your region using the `/lolstats` command\'s `region` option!';
-          await safeEditReply(interaction, `❌ Riot ID **${trimmedRiotId}** not found${regionInfo}.\n\nPlease check:\n• The Riot ID is spelled correctly (format: GameName#TagLine)\n• The tag line is correct (case-sensitive)\n• The account exists in the specified region${regionHint}\n• Try a different region if your account is in a different server`, {
+          const region = userRegion ? t('lolstats.errors.notFoundRegion', { region: userRegion }) : '';
+          const tip = userRegion ? '' : t('lolstats.errors.notFoundTip');
+          await safeEditReply(interaction, t('lolstats.errors.notFound', { riotId: trimmedRiotId, region, tip }), {
             flags: MessageFlags.Ephemeral
           });
           return;
@@ -288,38 +1324,20 @@ module.exports = {
           });
           
           // Special message for SEA region 403 errors
-          let errorMessage = '❌ **API Authentication Failed (403 Forbidden)**\n\n';
-          
-          if (errorRegion === 'sea' || userRegion === 'sea') {
-            errorMessage += '**ℹ️ Note about SEA Region:**\n';
-            errorMessage += 'Account API v1 only supports `americas`, `asia`, and `europe`.\n';
-            errorMessage += 'When you select "sea", it\'s automatically mapped to "asia" for Account API.\n';
-            errorMessage += 'This 403 error suggests an API key issue, not a region mapping issue.\n\n';
-            errorMessage += '**⚠️ Most Common Cause:**\n';
-            errorMessage += '• **API key expired** - Riot Personal API Keys expire after **24 hours**\n\n';
-            errorMessage += '**Other possible causes:**\n';
-            errorMessage += '• API key missing Account API v1 permissions\n';
-            errorMessage += '• Wrong API key type (needs Personal API Key, not Production)\n';
-            errorMessage += '• API key format issue\n\n';
-          } else {
-            errorMessage += '**⚠️ Most Common Cause:**\n';
-            errorMessage += '• **API key expired** - Riot Personal API Keys expire after **24 hours**\n\n';
-            errorMessage += '**Other possible causes:**\n';
-            errorMessage += '• API key missing Account API v1 permissions\n';
-            errorMessage += '• Wrong API key type (needs Personal API Key, not Production)\n';
-            errorMessage += '• Region mismatch\n';
-            errorMessage += '• API key format issue\n\n';
+          const causes = [t('lolstats.errors.authOtherCauses')];
+          if (errorRegion !== 'sea' && userRegion !== 'sea') {
+            causes.push(t('lolstats.errors.authRegionMismatch'));
           }
+          causes.push(t('lolstats.errors.authKeyFormat'));
           
-          errorMessage += '**To fix:**\n';
-          errorMessage += '1. Go to https://developer.riotgames.com/\n';
-          errorMessage += '2. Log in and check your API keys\n';
-          errorMessage += '3. **Generate a NEW Personal API Key** (old ones expire!)\n';
-          errorMessage += '4. Ensure it has Account API v1 access\n';
-          errorMessage += '5. Copy the key EXACTLY (no spaces/quotes)\n';
-          errorMessage += '6. Update the bot\'s `.env` file: `RIOT_API_KEY=your_new_key_here`\n';
-          errorMessage += '7. Restart the bot\n\n';
-          errorMessage += 'Please contact the bot administrator to update the API key.';
+          const errorMessage = [
+            t('lolstats.errors.authTitle'),
+            ...(errorRegion === 'sea' || userRegion === 'sea' ? [t('lolstats.errors.authSeaNote')] : []),
+            t('lolstats.errors.authCommonCause'),
+            causes.join('\n'),
+            t('lolstats.errors.authFix'),
+            t('lolstats.errors.contactAdmin')
+          ].join('\n\n');
           
       // Try to send error, but don't throw if interaction expired
       const result = await safeEditReply(interaction, errorMessage, {
@@ -338,7 +1356,7 @@ module.exports = {
             apiError.message?.includes('Network error') || 
             apiError.message?.includes('ECONNRESET') ||
             apiError.message?.includes('ETIMEDOUT')) {
-          await safeEditReply(interaction, '❌ **Network Error**\n\nUnable to connect to Riot API servers. This may be a temporary issue.\n\nPlease try again in a few moments.', {
+          await safeEditReply(interaction, t('lolstats.errors.networkTemporary'), {
             flags: MessageFlags.Ephemeral
           });
           return;
@@ -369,258 +1387,76 @@ module.exports = {
       // Get display name for user-friendly messages
       const displayName = summoner.riotId || (summoner.gameName && summoner.tagLine ? `${summoner.gameName}#${summoner.tagLine}` : null) || riotId;
       Logger.success(`Found summoner: ${displayName} (PUUID: ${summoner.puuid.substring(0, 8)}...)`);
+      if (link) {
+        AccountLinks.updateRiotId(interaction.user.id, summoner.riotId);
+      } else {
+        RecentLookups.add(interaction.user.id, displayName, userRegion);
+      }
       
       // Initialize champion names
       await ChampionNames.initialize();
+      await ChampionNames.loadLocale(I18n.getDataDragonLocale(t.locale));
       
-      // Get current season information
-      const seasonInfo = YearEndRewindCalculator.getCurrentSeason();
+      // Season information (resolved and validated above)
       const currentSeason = seasonInfo.season;
-      const seasonStartTimestamp = seasonInfo.seasonStart;
-      const seasonEndTimestamp = seasonInfo.seasonEnd;
       
-      Logger.info(`Current Season: ${currentSeason} (${seasonInfo.seasonStartDate} to ${seasonInfo.seasonEndDate})`);
+      Logger.info(`Rewind season: ${seasonInfo.label} (${seasonInfo.seasonStartDate} to ${seasonInfo.seasonEndDate})`);
+      
+      // Current rank and mastery (recorded as snapshots so peak rank and mastery gains can be reconstructed)
+      const { leagueEntries, championMasteries, fetchedAt: snapshotsFetchedAt } = await RewindService.fetchProfileSnapshots(summoner.puuid, userRegion);
       
-      // Get ALL match history for the season (paginated) - Ranked games only
+      // Get ALL match history for the season (paginated) - filtered by the selected queue
       // Edit the same message (prevents channel flooding)
-      await safeEditReply(interaction, `📊 Fetching all ranked matches for Season ${currentSeason}... This may take a moment.`, {
+      await safeEditReply(interaction, t('lolstats.progress.fetching', { queue: QueueFilters.getLabel(t, queueFilter.key), season: seasonInfo.label }), {
         flags: MessageFlags.Ephemeral
       });
       
-      const allMatchIds = await RiotAPIService.getAllMatchHistoryForYear(summoner.puuid, currentSeason, userRegion);
+      const allMatchIds = await RiotAPIService.getAllMatchHistoryForYear(summoner.puuid, currentSeason, userRegion, queueFilter.key);
       
       if (!allMatchIds || allMatchIds.length === 0) {
         // Edit the same message with final result (prevents channel flooding)
-        await safeEditReply(interaction, `✅ Found Riot ID **${displayName}**, but no matches found for Season ${currentSeason}. Try playing some games first!`, {
+        await safeEditReply(interaction, t('lolstats.results.noMatches', { name: displayName, queue: QueueFilters.getLabel(t, queueFilter.key), season: seasonInfo.label }), {
           flags: MessageFlags.Ephemeral
         });
         return;
       }
       
-      Logger.info(`Processing ${allMatchIds.length} match IDs, filtering for Season ${currentSeason}...`);
+      Logger.info(`Processing ${allMatchIds.length} match IDs, filtering for ${seasonInfo.label}...`);
       
       // Update progress message (edits the same message - prevents channel flooding)
-      await safeEditReply(interaction, `📊 Processing ${allMatchIds.length} matches and filtering for Season ${currentSeason}...`, {
+      await safeEditReply(interaction, t('lolstats.progress.processing', { count: allMatchIds.length, season: seasonInfo.label }), {
         flags: MessageFlags.Ephemeral
       });
       
       // Get match details for each match and filter by season
-      // Optimize: Stop early if we've passed the season boundary (matches are in reverse chronological order)
-      const matches = [];
-      let processedCount = 0;
-      let matchesOutsideSeason = 0;
-      const maxMatchesOutsideSeason = 50; // Stop if we see 50 consecutive matches outside the season
-      const updateInterval = Math.max(1, Math.floor(allMatchIds.length / 20)); // Update 20 times total (more frequent)
-      const lastUpdateTime = Date.now();
-      const updateFrequency = 30000; // Update every 30 seconds to keep interaction alive
-      let lastProgressUpdate = Date.now();
-      
-      Logger.debug(`Processing ${allMatchIds.length} match IDs...`);
-      
-      for (const matchId of allMatchIds) {
-        try {
-          const matchDetails = await RiotAPIService.getMatchDetails(matchId, userRegion);
-          
-          // Validate match details structure
-          if (!matchDetails || !matchDetails.info || !Array.isArray(matchDetails.info.participants)) {
-            Logger.error(`Invalid match details structure for match ${matchId}`);
-            continue;
-          }
-          
-          // Check if match is within the current season
-          // gameCreation is in milliseconds (Unix timestamp)
-          const gameCreation = matchDetails.info.gameCreation || 0;
-          
-          if (!gameCreation || gameCreation === 0) {
-            Logger.warn(`Match ${matchId} has invalid gameCreation timestamp - skipping`);
-            continue;
-          }
-          
-          const gameDate = moment(gameCreation);
-          
-          // Log first few matches for debugging
-          if (processedCount < 5) {
-            const isInSeason = gameCreation >= seasonStartTimestamp && gameCreation <= seasonEndTimestamp;
-            Logger.debug(`Match ${processedCount + 1}: date=${gameDate.format('YYYY-MM-DD HH:mm:ss')}, inSeason=${isInSeason}, timestamp=${gameCreation}`);
-          }
-          
-          // Check if match is within season bounds
-          const isInSeason = gameCreation >= seasonStartTimestamp && gameCreation <= seasonEndTimestamp;
-          
-          if (!isInSeason) {
-            // Match is outside the season
-            matchesOutsideSeason++;
-            
-            // Only stop early if we're clearly past the season START (matches are in reverse chronological order)
-            // This means we've gone back in time past the season start
-            // Be conservative: require many consecutive old matches before stopping
-            if (gameCreation < seasonStartTimestamp) {
-              if (matchesOutsideSeason >= maxMatchesOutsideSeason) {
-                Logger.info(`Stopping early: Found ${maxMatchesOutsideSeason} consecutive matches before Season ${currentSeason} start`);
-                Logger.debug(`Last match date: ${gameDate.format('YYYY-MM-DD')}, Season start: ${moment(seasonStartTimestamp).format('YYYY-MM-DD')}`);
-                break;
-              }
-            } else {
-              // Match is after season end (future match or edge case)
-              // Reset counter - we might still find season matches later
-              // This shouldn't happen often since matches are reverse chronological
-              matchesOutsideSeason = 0;
-            }
-            // Don't count matches outside season in statistics
-            continue;
-          }
-          
-          // Reset counter if we found a match in the season
-          matchesOutsideSeason = 0;
-          
-          // Extract relevant data for the player
-          const participant = matchDetails.info.participants.find(p => p && p.puuid === summoner.puuid);
-          
-          if (!participant) {
-            Logger.warn(`Player not found in match ${matchId} - skipping`);
-            continue;
-          }
-          
-          // Validate participant data
-          if (participant.championId === undefined || participant.championId === null) {
-            Logger.warn(`Match ${matchId} missing championId - skipping`);
-            continue;
-          }
-          
-          matches.push({
-            matchId,
-            championId: participant.championId || 0,
-            win: participant.win || false,
-            kills: participant.kills || 0,
-            deaths: participant.deaths || 0,
-            assists: participant.assists || 0,
-            gameCreation: gameCreation
-          });
-          
-          processedCount++;
-          
-          // Progress update every N matches OR every 30 seconds (to keep interaction alive)
-          const timeSinceLastUpdate = Date.now() - lastProgressUpdate;
-          const shouldUpdate = processedCount % updateInterval === 0 || 
-                               processedCount === allMatchIds.length || 
-                               timeSinceLastUpdate >= updateFrequency;
-          
-          if (shouldUpdate) {
-            const progressPercent = Math.round((processedCount / allMatchIds.length) * 100);
-            const result = await safeEditReply(interaction, `📊 Processing matches: ${processedCount}/${allMatchIds.length} (${progressPercent}%)... Found ${matches.length} season matches so far.`, {
-              flags: MessageFlags.Ephemeral
-            });
-            
-            // If we can't update (token expired), log but continue processing
-            if (result === null) {
-              Logger.warn('Cannot send progress update (interaction may have expired), continuing processing...');
-            } else {
-              lastProgressUpdate = Date.now();
-            }
-            
-            Logger.debug(`Progress: ${processedCount}/${allMatchIds.length} (${progressPercent}%) - ${matches.length} matches in Season ${currentSeason}`);
-          }
-        } catch (matchError) {
-          Logger.error(`Error fetching match ${matchId}:`, matchError.message);
-          // Continue with other matches
-          processedCount++;
-        }
-      }
-      
-      Logger.success(`Filtered to ${matches.length} matches from Season ${currentSeason} (processed ${processedCount} total matches)`);
+      // Runs as a persistent job: it survives restarts and is delivered by DM or in the channel if this
+      // interaction expires first (see RewindJobQueue)
+      const job = RewindJobQueue.submit(COMPONENT_PREFIX, {
+        interaction,
+        locale: t.locale,
+        puuid: summoner.puuid,
+        displayName,
+        matchIds: allMatchIds,
+        userRegion,
+        queue: queueFilter.key,
+        season: seasonYear,
+        split: requestedSplit,
+        params: { riotId: trimmedRiotId, timezone, view, exportData, htmlPage, leagueEntries, championMasteries, snapshotsFetchedAt }
+      });
       
-      // Log some statistics for validation
-      if (matches.length > 0) {
-        const sortedMatches = [...matches].sort((a, b) => a.gameCreation - b.gameCreation);
-        const firstMatchDate = moment(sortedMatches[0].gameCreation).format('YYYY-MM-DD');
-        const lastMatchDate = moment(sortedMatches[sortedMatches.length - 1].gameCreation).format('YYYY-MM-DD');
-        Logger.debug(`Match date range: ${firstMatchDate} to ${lastMatchDate}`);
-        Logger.debug(`Season range: ${seasonInfo.seasonStartDate} to ${seasonInfo.seasonEndDate}`);
-        
-        // Validate match dates are within season
-        const matchesOutsideRange = matches.filter(m => {
-          const matchDate = m.gameCreation;
-          return matchDate < seasonStartTimestamp || matchDate > seasonEndTimestamp;
+      const queuePosition = RewindJobQueue.getQueuePosition(job.id);
+      if (job.attachedTo) {
+        // Someone else is already building this exact rewind - this one is delivered from the same run
+        await safeEditReply(interaction, t('lolstats.progress.shared', { name: displayName }), {
+          flags: MessageFlags.Ephemeral
         });
-        if (matchesOutsideRange.length > 0) {
-          Logger.warn(`Warning: ${matchesOutsideRange.length} matches found outside season range!`);
-        }
-      }
-      
-      if (matches.length === 0) {
-        await safeEditReply(interaction, `✅ Found Riot ID **${displayName}**, but no matches found for Season ${currentSeason} (${seasonInfo.seasonStartDate} to ${seasonInfo.seasonEndDate}). Try playing some games!`, {
+      } else if (queuePosition) {
+        await safeEditReply(interaction, t('lolstats.progress.queued', { position: queuePosition }), {
           flags: MessageFlags.Ephemeral
         });
-        return;
       }
       
-      // Calculate season statistics
-      const winRate = YearEndRewindCalculator.calculateWinRate(matches);
-      const mostPlayedChampions = YearEndRewindCalculator.getMostPlayedChampions(matches, 5);
-      const kdaStats = YearEndRewindCalculator.calculateKDA(matches);
-      const totalGames = YearEndRewindCalculator.calculateTotalGames(matches);
-      
-      // Validate statistics
-      Logger.info(`Statistics calculated:`, {
-        totalGames,
-        winRate: `${winRate}%`,
-        kda: `${kdaStats.kills}/${kdaStats.deaths}/${kdaStats.assists} (${kdaStats.kda})`,
-        topChampions: mostPlayedChampions.length
-      });
-      
-      // Prepare the response
-      const embed = {
-        title: `🎮 ${displayName}'s Season ${currentSeason} Rewind`,
-        description: `Here are your epic League of Legends statistics for Season ${currentSeason}!`,
-        color: 0x5865F2,
-        fields: [
-          {
-            name: '🏆 Total Games Played',
-            value: `${totalGames} games`,
-            inline: true
-          },
-          {
-            name: '🎯 Win Rate',
-            value: `${winRate}%`,
-            inline: true
-          },
-          {
-            name: '⚔️ Average KDA',
-            value: `${kdaStats.kills}/${kdaStats.deaths}/${kdaStats.assists} (KDA: ${kdaStats.kda})`,
-            inline: true
-          },
-          {
-            name: '👑 Most Played Champions',
-            value: mostPlayedChampions.map(champ => {
-              const championName = ChampionNames.getName(champ.championId);
-              return `${championName}: ${champ.gamesPlayed} games (${champ.winRate}% WR)`;
-            }).join('\n') || 'No champion data available',
-            inline: false
-          }
-        ],
-        footer: {
-          text: 'Data collected from Riot Games API | Updated in real-time'
-        },
-        timestamp: new Date().toISOString()
-      };
-      
-      // Try to send final result, but don't throw if interaction expired
-      // safeEditReply will handle all fallbacks (DM -> Channel -> Log)
-      const result = await safeEditReply(interaction, { embeds: [embed] }, {});
-      
-      if (result === null) {
-        // All fallback methods failed, log the results for debugging
-        Logger.warn('All delivery methods failed (interaction expired, DM disabled, channel unavailable)');
-        Logger.info('Stats calculated successfully but could not be delivered:', {
-          user: interaction.user?.tag || 'unknown',
-          channel: interaction.channel?.id || 'unknown',
-          totalGames,
-          winRate: `${winRate}%`,
-          kda: `${kdaStats.kills}/${kdaStats.deaths}/${kdaStats.assists}`
-        });
-      } else {
-        Logger.success('Stats delivered successfully to user');
-      }
+      await RewindJobQueue.waitFor(job.id);
       
     } catch (error) {
       Logger.error('Error fetching LoL stats:', {
@@ -630,46 +1466,7 @@ module.exports = {
         status: error.response?.status
       });
       
-      let errorMessage = '❌ Failed to fetch League of Legends statistics.';
-      
-      if (error.response) {
-        if (error.response.status === 404) {
-          errorMessage = `❌ Summoner **${summonerName}** not found. Please check the summoner name and region.`;
-        } else if (error.response.status === 403) {
-          errorMessage = '❌ **API Authentication Failed**\n\n';
-          errorMessage += 'The Riot API key is invalid, expired, or missing permissions.\n\n';
-          errorMessage += '**Possible causes:**\n';
-          errorMessage += '• API key is invalid or expired\n';
-          errorMessage += '• API key does not have required permissions\n';
-          errorMessage += '• API key is for a different region\n\n';
-          errorMessage += 'Please contact the bot administrator to update the API key.';
-        } else if (error.response.status === 429) {
-          errorMessage = '❌ Rate limit exceeded. Please try again in a few moments.';
-        } else {
-          errorMessage = `❌ API error (${error.response.status}): ${error.response.statusText || 'Unknown error'}`;
-        }
-      } else if (error.message) {
-        // Handle timeout and network errors
-        if (error.message.includes('timeout') || error.code === 'ECONNABORTED') {
-          errorMessage = '❌ **Request Timeout**\n\n';
-          errorMessage += 'The Riot API server did not respond in time.\n\n';
-          errorMessage += '**Possible causes:**\n';
-          errorMessage += '• Slow internet connection\n';
-          errorMessage += '• Riot API server is experiencing high load\n';
-          errorMessage += '• Network connectivity issues\n\n';
-          errorMessage += 'Please try again in a few moments.';
-        } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-          errorMessage = '❌ **Network Error**\n\n';
-          errorMessage += 'Unable to connect to Riot API servers.\n\n';
-          errorMessage += '**Possible causes:**\n';
-          errorMessage += '• No internet connection\n';
-          errorMessage += '• Firewall blocking the connection\n';
-          errorMessage += '• Riot API servers are down\n\n';
-          errorMessage += 'Please check your internet connection and try again.';
-        } else {
-          errorMessage = `❌ ${error.message}`;
-        }
-      }
+      const errorMessage = describeError(t, error, trimmedRiotId);
       
       await safeEditReply(interaction, errorMessage, {
         flags: MessageFlags.Ephemeral
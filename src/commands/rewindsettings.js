@@ -0,0 +1,121 @@
+// src/commands/rewindsettings.js
+const { SlashCommandBuilder, MessageFlags, PermissionFlagsBits, ChannelType, InteractionContextType } = require('discord.js');
+const GuildSettings = require('../utils/GuildSettings');
+const I18n = require('../utils/I18n');
+const Logger = require('../utils/Logger');
+
+const SHARING_MODES = ['enabled', 'channel', 'disabled'];
+
+// Describe the sharing setting of a guild
+function formatSharing(t, settings) {
+  const label = SHARING_MODES.includes(settings.sharing) ? t(`rewindsettings.sharing.${settings.sharing}`) : settings.sharing;
+  return settings.sharing === 'channel' && settings.shareChannelId
+    ? `${label}: <#${settings.shareChannelId}>`
+    : label;
+}
+
+// Describe the language setting of a guild (a chosen language is shown in its own name)
+function formatLanguage(t, settings) {
+  return settings.locale
+    ? `🌐 ${I18n.t(settings.locale, 'meta.name')}`
+    : t('rewindsettings.languageAuto');
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('rewindsettings')
+    .setDescription('Configure the rewind bot for this server')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setContexts(InteractionContextType.Guild)
+    .addSubcommand(subcommand =>
+      subcommand.setName('show')
+        .setDescription('Show the current settings'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('sharing')
+        .setDescription('Control where members can share their rewinds publicly')
+        .addStringOption(option =>
+          option.setName('mode')
+            .setDescription('Who can post rewinds publicly, and where')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Anywhere', value: 'enabled' },
+              { name: 'Only in one channel', value: 'channel' },
+              { name: 'Disabled', value: 'disabled' }
+            ))
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('Channel for shared rewinds (required for "Only in one channel")')
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('language')
+        .setDescription('Language of bot messages in this server')
+        .addStringOption(option =>
+          option.setName('locale')
+            .setDescription('Language to use ("Automatic" follows each member\'s Discord language)')
+            .setRequired(true)
+            .addChoices({ name: 'Automatic', value: 'auto' }, ...I18n.getChoices()))),
+
+  async execute(interaction) {
+    const t = I18n.forInteraction(interaction);
+
+    if (!interaction.guildId) {
+      await interaction.reply({ content: t('rewindsettings.guildOnly'), flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'sharing') {
+      const mode = interaction.options.getString('mode');
+      const channel = interaction.options.getChannel('channel');
+
+      if (mode === 'channel' && !channel) {
+        await interaction.reply({
+          content: t('rewindsettings.channelRequired'),
+          flags: MessageFlags.Ephemeral
+        });
+        return;
+      }
+
+      const settings = GuildSettings.update(interaction.guildId, {
+        sharing: mode,
+        shareChannelId: mode === 'channel' ? channel.id : null
+      });
+      Logger.info(`Rewind sharing set to "${mode}" by ${interaction.user.tag} in guild ${interaction.guildId}`);
+
+      await interaction.reply({
+        content: t('rewindsettings.sharingUpdated', { setting: formatSharing(t, settings) }),
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    if (subcommand === 'language') {
+      const locale = interaction.options.getString('locale');
+      const settings = GuildSettings.update(interaction.guildId, { locale: locale === 'auto' ? null : locale });
+      Logger.info(`Bot language set to "${locale}" by ${interaction.user.tag} in guild ${interaction.guildId}`);
+
+      // Confirm in the language that applies from now on
+      const updatedT = I18n.forInteraction(interaction);
+      await interaction.reply({
+        content: updatedT('rewindsettings.languageUpdated', { setting: formatLanguage(updatedT, settings) }),
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    const settings = GuildSettings.get(interaction.guildId);
+    await interaction.reply({
+      embeds: [{
+        title: t('rewindsettings.title'),
+        color: 0x5865F2,
+        fields: [
+          { name: t('rewindsettings.sharingField'), value: formatSharing(t, settings), inline: false },
+          { name: t('rewindsettings.languageField'), value: formatLanguage(t, settings), inline: false }
+        ]
+      }],
+      flags: MessageFlags.Ephemeral
+    });
+  },
+};
@@ -0,0 +1,83 @@
+// src/commands/rewindstatus.js
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const RewindJobQueue = require('../services/RewindJobQueue');
+const YearEndRewindCalculator = require('../utils/YearEndRewindCalculator');
+const QueueFilters = require('../utils/QueueFilters');
+const I18n = require('../utils/I18n');
+
+const STATUS_EMOJI = {
+  queued: '⏳',
+  running: '⚙️',
+  completed: '✅',
+  failed: '❌'
+};
+
+// Discord relative timestamp ("5 minutes ago"), shown in each user's own language
+function relativeTime(timestamp) {
+  return `<t:${Math.floor(timestamp / 1000)}:R>`;
+}
+
+function formatJobStatus(t, job) {
+  // Jobs attached to someone else's identical rewind show that run's progress
+  const sourceJob = job.status === 'completed' ? job : RewindJobQueue.getSourceJob(job);
+  const checkpoint = sourceJob.checkpoint;
+  const processed = checkpoint ? sourceJob.matchIds.indexOf(checkpoint.lastMatchId) + 1 : 0;
+  const total = sourceJob.matchIds.length;
+
+  switch (job.status) {
+    case 'queued':
+      return t('rewindstatus.queued', {
+        position: RewindJobQueue.getQueuePosition(job.id) || '?',
+        processed,
+        total
+      });
+    case 'running':
+      return t('rewindstatus.running', {
+        processed,
+        total,
+        percent: total > 0 ? Math.round((processed / total) * 100) : 0,
+        found: checkpoint ? checkpoint.matches.length : 0,
+        started: relativeTime(job.startedAt)
+      });
+    case 'completed':
+      return t('rewindstatus.completed', { found: job.foundCount || 0, finished: relativeTime(job.finishedAt) });
+    default:
+      return t('rewindstatus.failed', { error: job.error || t('lolstats.errors.unknownError'), finished: relativeTime(job.finishedAt) });
+  }
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('rewindstatus')
+    .setDescription('See the progress of your running and recent /lolstats rewinds'),
+
+  async execute(interaction) {
+    const t = I18n.forInteraction(interaction);
+    const jobs = RewindJobQueue.getUserJobs(interaction.user.id);
+
+    if (jobs.length === 0) {
+      await interaction.reply({ content: t('rewindstatus.empty'), flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    await interaction.reply({
+      embeds: [{
+        title: t('rewindstatus.title'),
+        description: t('rewindstatus.description'),
+        color: 0xC8AA6E,
+        fields: jobs.map(job => {
+          const seasonInfo = YearEndRewindCalculator.getSeasonInfo(job.season, job.split);
+          return {
+            name: `${STATUS_EMOJI[job.status] || '❔'} ${job.displayName} • ${seasonInfo ? seasonInfo.label : job.season} • ${QueueFilters.getLabel(t, job.queue)}`,
+            value: formatJobStatus(t, job),
+            inline: false
+          };
+        }),
+        footer: {
+          text: t('common.footer')
+        }
+      }],
+      flags: MessageFlags.Ephemeral
+    });
+  },
+};
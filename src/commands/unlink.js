@@ -0,0 +1,20 @@
+// src/commands/unlink.js
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const AccountLinks = require('../utils/AccountLinks');
+const I18n = require('../utils/I18n');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('unlink')
+    .setDescription('Remove the Riot account linked to your Discord account'),
+
+  async execute(interaction) {
+    const t = I18n.forInteraction(interaction);
+    const link = AccountLinks.remove(interaction.user.id);
+
+    await interaction.reply({
+      content: link ? t('link.unlinked', { riotId: link.riotId }) : t('link.notLinked'),
+      flags: MessageFlags.Ephemeral
+    });
+  },
+};
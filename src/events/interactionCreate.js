@@ -1,10 +1,79 @@
 // src/events/interactionCreate.js
 const { MessageFlags } = require('discord.js');
 const Logger = require('../utils/Logger');
+const I18n = require('../utils/I18n');
+
+// Route buttons and select menus to the command that created them
+// Custom IDs are namespaced by command name: "{commandName}:{...}"
+async function handleComponent(interaction, client) {
+  const [commandName] = interaction.customId.split(':');
+  const command = client.commands.get(commandName);
+
+  if (!command || typeof command.handleComponent !== 'function') {
+    Logger.warn(`No component handler for custom ID ${interaction.customId}`);
+    return;
+  }
+
+  try {
+    await command.handleComponent(interaction);
+  } catch (error) {
+    Logger.error(`Error handling component ${interaction.customId}:`, {
+      error: error.message,
+      stack: error.stack,
+      code: error.code
+    });
+
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({
+        content: I18n.forInteraction(interaction)('interaction.componentError'),
+        flags: MessageFlags.Ephemeral
+      }).catch(() => {
+        Logger.error('Failed to reply to component interaction');
+      });
+    }
+  }
+}
+
+// Route autocomplete requests to the command's autocomplete handler
+// Failures answer with no suggestions - Discord only waits 3 seconds and there is nothing else to show
+async function handleAutocomplete(interaction, client) {
+  const command = client.commands.get(interaction.commandName);
+
+  if (!command || typeof command.autocomplete !== 'function') {
+    Logger.warn(`No autocomplete handler for ${interaction.commandName}`);
+    await interaction.respond([]).catch(() => {});
+    return;
+  }
+
+  try {
+    await command.autocomplete(interaction);
+  } catch (error) {
+    Logger.error(`Error handling autocomplete for ${interaction.commandName}:`, {
+      error: error.message,
+      code: error.code
+    });
+
+    if (!interaction.responded) {
+      await interaction.respond([]).catch(() => {
+        Logger.error('Failed to respond to autocomplete interaction');
+      });
+    }
+  }
+}
 
 module.exports = {
     name: 'interactionCreate',
     async execute(interaction, client) {
+      if (interaction.isMessageComponent()) {
+        await handleComponent(interaction, client);
+        return;
+      }
+
+      if (interaction.isAutocomplete()) {
+        await handleAutocomplete(interaction, client);
+        return;
+      }
+
       if (!interaction.isChatInputCommand()) return;
   
       const command = client.commands.get(interaction.commandName);
@@ -17,6 +86,7 @@ module.exports = {
       try {
         await command.execute(interaction);
       } catch (error) {
+        const t = I18n.forInteraction(interaction);
         Logger.error(`Error executing ${interaction.commandName}:`, {
           error: error.message,
           stack: error.stack,
@@ -31,7 +101,7 @@ module.exports = {
           if (interaction.user && !interaction.user.bot) {
             try {
               await interaction.user.send({
-                content: '❌ Your command took too long and the interaction expired. Please try the command again.'
+                content: t('interaction.expiredDm')
               });
             } catch (dmError) {
               Logger.error('Failed to send DM to user:', dmError.message);
@@ -44,13 +114,13 @@ module.exports = {
         try {
           if (interaction.replied || interaction.deferred) {
             await interaction.followUp({ 
-              content: '❌ There was an error while executing this command!', 
+              content: t('interaction.commandError'),
               flags: MessageFlags.Ephemeral
             }).catch(() => {
               // If followUp also fails, try DM
               if (interaction.user && !interaction.user.bot) {
                 interaction.user.send({
-                  content: '❌ There was an error while executing your command. Please try again.'
+                  content: t('interaction.commandErrorDm')
                 }).catch(() => {
                   Logger.error('Failed to send error message via any method');
                 });
@@ -58,7 +128,7 @@ module.exports = {
             });
           } else {
             await interaction.reply({ 
-              content: '❌ There was an error while executing this command!', 
+              content: t('interaction.commandError'),
               flags: MessageFlags.Ephemeral
             }).catch(() => {
               Logger.error('Failed to reply to interaction');
@@ -70,7 +140,7 @@ module.exports = {
           if (interaction.user && !interaction.user.bot) {
             try {
               await interaction.user.send({
-                content: '❌ There was an error while executing your command. Please try again.'
+                content: t('interaction.commandErrorDm')
               });
             } catch (dmError) {
               Logger.error('Failed to send DM:', dmError.message);
@@ -1,9 +1,14 @@
+const RewindJobQueue = require('../services/RewindJobQueue');
+
 module.exports = {
   name: 'clientReady',
   once: true,
   execute(client) {
     console.log(`✅ ${client.user.tag} is online and ready to create epic LoL Year-end rewinds!`);
     
+    // Pick up rewind jobs that were interrupted by a restart
+    RewindJobQueue.start(client);
+    
     try {
       client.user.setActivity('LoL Year-end Rewind', { type: 'WATCHING' });
     } catch (error) {
@@ -0,0 +1,381 @@
+// src/services/RewindJobQueue.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const RewindService = require('./RewindService');
+const YearEndRewindCalculator = require('../utils/YearEndRewindCalculator');
+const Logger = require('../utils/Logger');
+
+// Discord interaction tokens last 15 minutes - stop using them a minute early
+const INTERACTION_TTL = 14 * 60 * 1000;
+
+// Finished jobs are kept this long so /rewindstatus can still show them
+const FINISHED_JOB_TTL = 24 * 60 * 60 * 1000;
+
+// Rewind match collection as persistent jobs (data/rewind_jobs.json)
+// A season with hundreds of games can take longer than an interaction token lives, and a restart used to
+// lose the work. Jobs checkpoint after every match, resume after the last processed match ID when the bot
+// starts again, and hand the finished matches to the command that queued them.
+// A job asking for a rewind that is already queued or running (same PUUID, region, season, split and queue)
+// attaches to that job instead of collecting the same matches again, and is delivered from its result.
+//
+// Job: { id, type, status, userId, guildId, channelId, locale, puuid, displayName, matchIds, userRegion,
+//        queue, season, split, params, attachedTo, checkpoint, foundCount, error, createdAt, startedAt,
+//        updatedAt, finishedAt }
+// status: queued -> running -> completed | failed
+// attachedTo: ID of the job whose run this one shares (null for jobs that run themselves)
+// checkpoint: { lastMatchId, processedCount, matchesOutsideSeason, matches } (see RewindService.collectSeasonMatches)
+// params: whatever the command needs to present the result (must be JSON-serializable)
+class RewindJobQueue {
+  constructor() {
+    this.jobsFile = path.join(process.cwd(), 'data', 'rewind_jobs.json');
+    this.maxRunning = 2; // Jobs running at once - they share the Riot API rate limit
+    this.saveInterval = 5000; // Checkpoints are written at most every 5 seconds
+    this.jobs = this.loadJobs();
+    this.handlers = {}; // Job type -> { onProgress, onComplete, onFailed }
+    this.interactions = new Map(); // Job ID -> interaction that queued it (not persisted)
+    this.waiters = new Map(); // Job ID -> resolve functions of waitFor() callers
+    this.running = new Set();
+    this.closedRuns = new Set(); // Job IDs done collecting matches - new identical requests no longer attach to them
+    this.client = null;
+    this.lastSave = 0;
+  }
+
+  loadJobs() {
+    try {
+      if (fs.existsSync(this.jobsFile)) {
+        return JSON.parse(fs.readFileSync(this.jobsFile, 'utf8'));
+      }
+    } catch (error) {
+      Logger.error('Error loading rewind jobs:', error.message);
+    }
+    return {};
+  }
+
+  saveJobs() {
+    try {
+      const jobsDir = path.dirname(this.jobsFile);
+      if (!fs.existsSync(jobsDir)) {
+        fs.mkdirSync(jobsDir, { recursive: true });
+      }
+      fs.writeFileSync(this.jobsFile, JSON.stringify(this.jobs), 'utf8');
+      this.lastSave = Date.now();
+    } catch (error) {
+      Logger.error('Error saving rewind jobs:', error.message);
+    }
+  }
+
+  // Handlers for one job type, registered by the command that queues it
+  // onProgress(job, interaction, processed, total, found), onComplete(job, interaction, matches),
+  // onFailed(job, interaction, error) - interaction is null once its token has expired or after a restart
+  registerHandler(type, handlers) {
+    this.handlers[type] = handlers;
+  }
+
+  // Resume jobs interrupted by a restart (called once the Discord client is ready)
+  start(client) {
+    this.client = client;
+    this.pruneJobs();
+
+    const interrupted = Object.values(this.jobs).filter(job => job.status === 'queued' || job.status === 'running');
+    for (const job of interrupted) {
+      job.status = 'queued';
+    }
+    // Jobs whose shared run is gone run on their own
+    for (const job of interrupted) {
+      if (job.attachedTo && !interrupted.includes(this.jobs[job.attachedTo])) {
+        job.attachedTo = null;
+      }
+    }
+    if (interrupted.length > 0) {
+      Logger.info(`Resuming ${interrupted.length} rewind job(s) from before the restart`);
+      this.saveJobs();
+    }
+    this.pump();
+  }
+
+  // Queue a job and start it when there is room; returns the job (see waitFor())
+  // locale: language of the final message (resolved by the command, e.g. "vi")
+  submit(type, { interaction, locale, puuid, displayName, matchIds, userRegion = null, queue, season, split = null, params = {} }) {
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      userId: interaction.user.id,
+      guildId: interaction.guildId || null,
+      channelId: interaction.channelId || null,
+      locale,
+      puuid,
+      displayName,
+      matchIds,
+      userRegion,
+      queue,
+      season,
+      split,
+      params,
+      attachedTo: null,
+      checkpoint: null,
+      foundCount: null,
+      error: null,
+      createdAt: now,
+      startedAt: null,
+      updatedAt: now,
+      finishedAt: null
+    };
+
+    // Someone already asked for the same rewind - share that run instead of collecting the matches again
+    const sharedJob = Object.values(this.jobs).find(other => !other.attachedTo
+      && (other.status === 'queued' || other.status === 'running')
+      && !this.closedRuns.has(other.id)
+      && this.getComputationKey(other) === this.getComputationKey(job));
+    if (sharedJob) {
+      job.attachedTo = sharedJob.id;
+      job.status = sharedJob.status;
+      job.startedAt = sharedJob.startedAt;
+    }
+
+    this.pruneJobs();
+    this.jobs[job.id] = job;
+    this.interactions.set(job.id, { interaction, expiresAt: (interaction.createdTimestamp || now) + INTERACTION_TTL });
+    this.saveJobs();
+    Logger.info(sharedJob
+      ? `Rewind job ${job.id} for ${displayName} attached to job ${sharedJob.id}`
+      : `Queued rewind job ${job.id} for ${displayName} (${matchIds.length} match IDs)`);
+
+    this.pump();
+    return job;
+  }
+
+  // Resolves with the job once it has completed or failed (never rejects - failures go to onFailed)
+  waitFor(jobId) {
+    const job = this.jobs[jobId];
+    if (!job || job.status === 'completed' || job.status === 'failed') {
+      return Promise.resolve(job || null);
+    }
+    return new Promise(resolve => {
+      this.waiters.set(jobId, [...(this.waiters.get(jobId) || []), resolve]);
+    });
+  }
+
+  // The interaction that queued a job, while its token can still be used
+  getInteraction(jobId) {
+    const entry = this.interactions.get(jobId);
+    if (!entry) return null;
+    if (entry.expiresAt < Date.now()) {
+      this.interactions.delete(jobId);
+      return null;
+    }
+    return entry.interaction;
+  }
+
+  // Jobs with the same key compute the same matches (see submit())
+  getComputationKey(job) {
+    return [job.type, job.puuid, job.userRegion || 'default', job.season, job.split || 'all', job.queue].join('|');
+  }
+
+  // Unfinished jobs sharing the run of a job
+  getAttachedJobs(jobId) {
+    return Object.values(this.jobs)
+      .filter(job => job.attachedTo === jobId && (job.status === 'queued' || job.status === 'running'));
+  }
+
+  // The job whose run (and checkpoint) a job shares - the job itself unless it is attached
+  getSourceJob(job) {
+    return (job.attachedTo && this.jobs[job.attachedTo]) || job;
+  }
+
+  // Jobs of one type whose params match (e.g. the other half of a /lolcompare)
+  findJobs(type, matchParams) {
+    return Object.values(this.jobs).filter(job => job.type === type
+      && Object.entries(matchParams).every(([key, value]) => job.params && job.params[key] === value));
+  }
+
+  // Recent jobs of a Discord user, newest first
+  getUserJobs(userId, limit = 5) {
+    return Object.values(this.jobs)
+      .filter(job => job.userId === userId)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  // Position of a queued job in the waiting line (1 = next), null if it isn't waiting
+  // Attached jobs wait in the place of the job they share
+  getQueuePosition(jobId) {
+    const job = this.jobs[jobId];
+    if (!job) return null;
+    const sourceJob = this.getSourceJob(job);
+    const index = this.getQueuedJobs().findIndex(queued => queued.id === sourceJob.id);
+    return index === -1 ? null : index + 1;
+  }
+
+  getQueuedJobs() {
+    return Object.values(this.jobs)
+      .filter(job => job.status === 'queued' && !job.attachedTo)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // Start queued jobs while there is room
+  pump() {
+    for (const job of this.getQueuedJobs()) {
+      if (this.running.size >= this.maxRunning) return;
+      if (!this.handlers[job.type]) {
+        Logger.warn(`No handler registered for rewind job type "${job.type}", leaving job ${job.id} queued`);
+        continue;
+      }
+
+      this.running.add(job.id);
+      this.runJob(job)
+        .catch(error => Logger.error(`Rewind job ${job.id} crashed:`, error.message))
+        .finally(() => {
+          this.running.delete(job.id);
+          this.releaseJob(job.id);
+          this.pump();
+        });
+    }
+  }
+
+  // Wake waitFor() callers of a finished job and forget its interaction
+  releaseJob(jobId) {
+    this.interactions.delete(jobId);
+    const waiters = this.waiters.get(jobId) || [];
+    this.waiters.delete(jobId);
+    waiters.forEach(resolve => resolve(this.jobs[jobId] || null));
+  }
+
+  async runJob(job) {
+    const handlers = this.handlers[job.type];
+    job.status = 'running';
+    job.startedAt = job.startedAt || Date.now();
+    for (const attachedJob of this.getAttachedJobs(job.id)) {
+      attachedJob.status = 'running';
+      attachedJob.startedAt = job.startedAt;
+    }
+    this.touch(job, true);
+
+    let matches;
+    try {
+      const seasonInfo = YearEndRewindCalculator.getSeasonInfo(job.season, job.split);
+      matches = await RewindService.collectSeasonMatches(job.puuid, job.matchIds, seasonInfo, {
+        userRegion: job.userRegion,
+        queue: job.queue,
+        resumeFrom: job.checkpoint,
+        onCheckpoint: checkpoint => {
+          job.checkpoint = checkpoint;
+          this.touch(job);
+        },
+        onProgress: async (processedCount, totalCount, foundCount) => {
+          if (!handlers.onProgress) return;
+          for (const progressJob of [job, ...this.getAttachedJobs(job.id)]) {
+            await handlers.onProgress(progressJob, this.getInteraction(progressJob.id), processedCount, totalCount, foundCount);
+          }
+        }
+      });
+    } catch (error) {
+      // Closed before the (slow) failure reports, so nothing attaches while they are sent
+      this.closedRuns.add(job.id);
+      try {
+        for (const failedJob of [job, ...this.getAttachedJobs(job.id)]) {
+          await this.failJob(failedJob, error);
+          this.releaseJob(failedJob.id);
+        }
+      } finally {
+        this.closedRuns.delete(job.id);
+      }
+      return;
+    }
+
+    // Every attached job is delivered with its own interaction, language and options
+    // The run is closed first: a request arriving during delivery starts its own job instead of attaching
+    this.closedRuns.add(job.id);
+    try {
+      const checkpoint = { ...job.checkpoint, matches: [] }; // Keep the progress numbers, drop the match rows
+      for (const finishedJob of [job, ...this.getAttachedJobs(job.id)]) {
+        await this.completeJob(finishedJob, matches, checkpoint);
+        this.releaseJob(finishedJob.id);
+      }
+    } finally {
+      this.closedRuns.delete(job.id);
+    }
+  }
+
+  async completeJob(job, matches, checkpoint) {
+    try {
+      await this.handlers[job.type].onComplete(job, this.getInteraction(job.id), matches);
+    } catch (error) {
+      await this.failJob(job, error);
+      return;
+    }
+
+    job.status = 'completed';
+    job.finishedAt = Date.now();
+    job.checkpoint = checkpoint;
+    job.foundCount = matches.length;
+    this.touch(job, true);
+    Logger.success(`Rewind job ${job.id} completed (${matches.length} matches)`);
+  }
+
+  async failJob(job, error) {
+    Logger.error(`Rewind job ${job.id} failed:`, { error: error.message, status: error.response?.status || error.status });
+    job.status = 'failed';
+    job.error = error.message;
+    job.finishedAt = Date.now();
+    this.touch(job, true);
+
+    const handlers = this.handlers[job.type];
+    try {
+      await handlers.onFailed(job, this.getInteraction(job.id), error);
+    } catch (notifyError) {
+      Logger.warn(`Could not report failed rewind job ${job.id}:`, notifyError.message);
+    }
+  }
+
+  // Mark a job as changed; checkpoints are saved at most every saveInterval, state changes right away
+  touch(job, force = false) {
+    job.updatedAt = Date.now();
+    if (force || Date.now() - this.lastSave >= this.saveInterval) {
+      this.saveJobs();
+    }
+  }
+
+  // Drop finished jobs past FINISHED_JOB_TTL
+  pruneJobs() {
+    const now = Date.now();
+    for (const [jobId, job] of Object.entries(this.jobs)) {
+      if (job.finishedAt && now - job.finishedAt > FINISHED_JOB_TTL) {
+        delete this.jobs[jobId];
+      }
+    }
+  }
+
+  // Deliver a message without an interaction: DM the user, or post in the channel the command was used in
+  // Returns the sent message, or null if neither worked
+  async sendFresh(job, payload, channelContent) {
+    if (!this.client) {
+      Logger.warn(`Discord client not available, cannot deliver rewind job ${job.id}`);
+      return null;
+    }
+
+    try {
+      const user = await this.client.users.fetch(job.userId);
+      const message = await user.send(payload);
+      Logger.info(`Delivered rewind job ${job.id} by DM`);
+      return message;
+    } catch (dmError) {
+      Logger.warn('Cannot send DM to user (DMs may be disabled):', dmError.message);
+    }
+
+    if (!job.channelId) return null;
+    try {
+      const channel = await this.client.channels.fetch(job.channelId);
+      const message = await channel.send({ ...payload, content: channelContent });
+      Logger.info(`Delivered rewind job ${job.id} to channel ${job.channelId}`);
+      return message;
+    } catch (channelError) {
+      Logger.error('Cannot send message to channel:', channelError.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new RewindJobQueue();
@@ -0,0 +1,376 @@
+// src/services/RewindService.js
+const moment = require('moment');
+const RiotAPIService = require('./RiotAPIService');
+const YearEndRewindCalculator = require('../utils/YearEndRewindCalculator');
+const SnapshotStore = require('../utils/SnapshotStore');
+const QueueFilters = require('../utils/QueueFilters');
+const Logger = require('../utils/Logger');
+
+// Builds a season rewind for a player: match collection, statistics and the per-season summaries
+// used for year-over-year comparisons. Commands only deal with presentation.
+class RewindService {
+  constructor() {
+    this.maxMatchesOutsideSeason = 50; // Stop if we see 50 consecutive matches outside the season
+    this.progressUpdates = 20; // Report progress ~20 times per rewind
+    this.progressFrequency = 30000; // ...and at least every 30 seconds (keeps interactions alive)
+    this.matchBatchSize = 20; // Match details requested at once (see RiotAPIService.getMatchDetailsBatch)
+  }
+
+  // Fetch current rank and champion mastery and record snapshots of both
+  // Riot only exposes current values, so snapshots are how peak rank and mastery gains are reconstructed.
+  // Both are optional for the rewind - failures here must not abort the match processing
+  // fetchedAt is the timestamp of the snapshots recorded here (pass it to computeRewind())
+  async fetchProfileSnapshots(puuid, userRegion = null) {
+    const fetchedAt = Date.now();
+    let leagueEntries = null;
+    try {
+      leagueEntries = await RiotAPIService.getLeagueEntries(puuid, userRegion);
+      SnapshotStore.record('rank', puuid, leagueEntries.map(entry => ({
+        queueType: entry.queueType,
+        tier: entry.tier,
+        rank: entry.rank,
+        leaguePoints: entry.leaguePoints,
+        wins: entry.wins,
+        losses: entry.losses
+      })), fetchedAt);
+    } catch (leagueError) {
+      Logger.warn('Could not fetch league entries, rank section will be unavailable:', leagueError.message);
+    }
+
+    let championMasteries = null;
+    try {
+      championMasteries = await RiotAPIService.getChampionMastery(puuid, userRegion);
+      SnapshotStore.record('mastery', puuid, championMasteries.map(mastery => ({
+        championId: mastery.championId,
+        championLevel: mastery.championLevel,
+        championPoints: mastery.championPoints
+      })), fetchedAt);
+    } catch (masteryError) {
+      Logger.warn('Could not fetch champion mastery, mastery section will be unavailable:', masteryError.message);
+    }
+
+    return { leagueEntries, championMasteries, fetchedAt };
+  }
+
+  // Extract the player's row from match-v5 details
+  // Returns null if the player (or their champion) is missing from the match
+  buildMatchRow(matchId, matchDetails, puuid) {
+    const participant = matchDetails.info.participants.find(p => p && p.puuid === puuid);
+
+    if (!participant) {
+      Logger.warn(`Player not found in match ${matchId} - skipping`);
+      return null;
+    }
+
+    // Validate participant data
+    if (participant.championId === undefined || participant.championId === null) {
+      Logger.warn(`Match ${matchId} missing championId - skipping`);
+      return null;
+    }
+
+    // Lane opponent: enemy participant with the same teamPosition (none in ARAM/Arena)
+    const laneOpponent = participant.teamPosition
+      ? matchDetails.info.participants.find(p => p && p.teamId !== participant.teamId && p.teamPosition === participant.teamPosition)
+      : null;
+
+    return {
+      matchId,
+      queueId: matchDetails.info.queueId || 0,
+      championId: participant.championId || 0,
+      win: participant.win || false,
+      kills: participant.kills || 0,
+      deaths: participant.deaths || 0,
+      assists: participant.assists || 0,
+      role: YearEndRewindCalculator.normalizeRole(participant.teamPosition, participant.individualPosition),
+      pentaKills: participant.pentaKills || 0,
+      quadraKills: participant.quadraKills || 0,
+      firstBloodKill: participant.firstBloodKill || false,
+      // gameDuration is in seconds when gameEndTimestamp is present, milliseconds for older matches
+      gameDuration: matchDetails.info.gameEndTimestamp
+        ? (matchDetails.info.gameDuration || 0)
+        : Math.round((matchDetails.info.gameDuration || 0) / 1000),
+      goldEarned: participant.goldEarned || 0,
+      cs: (participant.totalMinionsKilled || 0) + (participant.neutralMinionsKilled || 0),
+      laneOpponent: laneOpponent ? {
+        championId: laneOpponent.championId,
+        goldEarned: laneOpponent.goldEarned || 0,
+        cs: (laneOpponent.totalMinionsKilled || 0) + (laneOpponent.neutralMinionsKilled || 0)
+      } : null,
+      // Other players on the same team (bots have no real PUUID)
+      teammates: matchDetails.info.participants
+        .filter(p => p && p.teamId === participant.teamId && p.puuid !== puuid && p.puuid && p.puuid !== 'BOT')
+        .map(p => ({ puuid: p.puuid, gameName: p.riotIdGameName || null, tagLine: p.riotIdTagline || null })),
+      gameCreation: matchDetails.info.gameCreation
+    };
+  }
+
+  // Fetch match details for a list of match IDs and keep the player's matches within the season
+  // Match IDs are in reverse chronological order, so processing stops early once we're clearly
+  // past the season start.
+  // onProgress(processedCount, totalCount, foundCount) is awaited every N matches / 30 seconds (while a batch
+  // is still being fetched too, counting its finished requests)
+  // onCheckpoint(state) is called after every match ID; passing that state back as resumeFrom continues
+  // after state.lastMatchId (used by RewindJobQueue to survive restarts)
+  async collectSeasonMatches(puuid, matchIds, seasonInfo, { userRegion = null, queue = QueueFilters.defaultFilter, onProgress = null, resumeFrom = null, onCheckpoint = null } = {}) {
+    const queueFilter = QueueFilters.getFilter(queue);
+    const seasonStartTimestamp = seasonInfo.seasonStart;
+    const seasonEndTimestamp = seasonInfo.seasonEnd;
+    // A checkpoint whose match ID is no longer in the list can't be resumed - start over
+    const resumeIndex = resumeFrom ? matchIds.indexOf(resumeFrom.lastMatchId) + 1 : 0;
+    const resumed = resumeIndex > 0;
+    const matches = resumed ? [...resumeFrom.matches] : [];
+    let processedCount = resumed ? resumeFrom.processedCount : 0;
+    let matchesOutsideSeason = resumed ? resumeFrom.matchesOutsideSeason : 0;
+    const updateInterval = Math.max(1, Math.floor(matchIds.length / this.progressUpdates));
+    let lastProgressUpdate = Date.now();
+    let reportedCount = processedCount;
+
+    // Progress update every N matches OR every 30 seconds - the reported count never goes backwards
+    const reportProgress = async (count) => {
+      const timeSinceLastUpdate = Date.now() - lastProgressUpdate;
+      const shouldUpdate = count % updateInterval === 0 ||
+                           count === matchIds.length ||
+                           timeSinceLastUpdate >= this.progressFrequency;
+      if (!shouldUpdate) return;
+
+      reportedCount = Math.max(reportedCount, count);
+      Logger.debug(`Progress: ${reportedCount}/${matchIds.length} - ${matches.length} matches in ${seasonInfo.label}`);
+      if (onProgress) {
+        await onProgress(reportedCount, matchIds.length, matches.length);
+      }
+      lastProgressUpdate = Date.now();
+    };
+
+    if (resumed) {
+      Logger.info(`Resuming after match ${resumeFrom.lastMatchId} (${resumeIndex}/${matchIds.length} done, ${matches.length} season matches so far)`);
+    }
+    Logger.debug(`Processing ${matchIds.length - resumeIndex} match IDs...`);
+
+    // Match details are fetched in concurrent batches (cached ones skip the request queue) but processed
+    // in order, so stopping early only wastes the rest of one batch
+    let stoppedEarly = false;
+    for (let batchStart = resumeIndex; batchStart < matchIds.length && !stoppedEarly; batchStart += this.matchBatchSize) {
+      const batch = await RiotAPIService.getMatchDetailsBatch(matchIds.slice(batchStart, batchStart + this.matchBatchSize), userRegion, {
+        // A batch can wait a while on rate limits - keep the 30 second updates going until it arrives
+        onProgress: async fetchedCount => {
+          if (Date.now() - lastProgressUpdate >= this.progressFrequency) {
+            await reportProgress(processedCount + fetchedCount);
+          }
+        }
+      });
+
+      for (const { matchId, matchDetails, error: fetchError } of batch) {
+        try {
+          if (fetchError) {
+            throw fetchError;
+          }
+
+          // Validate match details structure
+          if (!matchDetails || !matchDetails.info || !Array.isArray(matchDetails.info.participants)) {
+            Logger.error(`Invalid match details structure for match ${matchId}`);
+            continue;
+          }
+
+          // Check if match is within the season
+          // gameCreation is in milliseconds (Unix timestamp)
+          const gameCreation = matchDetails.info.gameCreation || 0;
+
+          if (!gameCreation || gameCreation === 0) {
+            Logger.warn(`Match ${matchId} has invalid gameCreation timestamp - skipping`);
+            continue;
+          }
+
+          const gameDate = moment(gameCreation);
+          const isInSeason = gameCreation >= seasonStartTimestamp && gameCreation <= seasonEndTimestamp;
+
+          // Log first few matches for debugging
+          if (processedCount < 5) {
+            Logger.debug(`Match ${processedCount + 1}: date=${gameDate.format('YYYY-MM-DD HH:mm:ss')}, inSeason=${isInSeason}, timestamp=${gameCreation}`);
+          }
+
+          if (!isInSeason) {
+            // Match is outside the season
+            matchesOutsideSeason++;
+
+            // Only stop early if we're clearly past the season START (matches are in reverse chronological order)
+            // This means we've gone back in time past the season start
+            // Be conservative: require many consecutive old matches before stopping
+            if (gameCreation < seasonStartTimestamp) {
+              if (matchesOutsideSeason >= this.maxMatchesOutsideSeason) {
+                Logger.info(`Stopping early: Found ${this.maxMatchesOutsideSeason} consecutive matches before ${seasonInfo.label} start`);
+                Logger.debug(`Last match date: ${gameDate.format('YYYY-MM-DD')}, Season start: ${moment(seasonStartTimestamp).format('YYYY-MM-DD')}`);
+                stoppedEarly = true;
+                break;
+              }
+            } else {
+              // Match is after season end (newer than the requested season)
+              // Reset counter - season matches come later in the list
+              matchesOutsideSeason = 0;
+            }
+            // Don't count matches outside season in statistics
+            continue;
+          }
+
+          // Reset counter if we found a match in the season
+          matchesOutsideSeason = 0;
+
+          const matchRow = this.buildMatchRow(matchId, matchDetails, puuid);
+          if (!matchRow) {
+            continue;
+          }
+
+          processedCount++;
+
+          // Safety net: match-v5 already filters by queue, but lists synced before Arena was fetched per queue
+          // still hold games from every queue
+          if (!QueueFilters.matchesFilter(queueFilter, matchRow.queueId)) {
+            continue;
+          }
+
+          matches.push(matchRow);
+          await reportProgress(processedCount);
+        } catch (matchError) {
+          Logger.error(`Error fetching match ${matchId}:`, matchError.message);
+          // Continue with other matches
+          processedCount++;
+        } finally {
+          if (onCheckpoint) {
+            onCheckpoint({ lastMatchId: matchId, processedCount, matchesOutsideSeason, matches });
+          }
+        }
+      }
+    }
+
+    Logger.success(`Filtered to ${matches.length} matches from ${seasonInfo.label} (processed ${processedCount} total matches)`);
+
+    // Log some statistics for validation
+    if (matches.length > 0) {
+      const sortedMatches = [...matches].sort((a, b) => a.gameCreation - b.gameCreation);
+      const firstMatchDate = moment(sortedMatches[0].gameCreation).format('YYYY-MM-DD');
+      const lastMatchDate = moment(sortedMatches[sortedMatches.length - 1].gameCreation).format('YYYY-MM-DD');
+      Logger.debug(`Match date range: ${firstMatchDate} to ${lastMatchDate}`);
+      Logger.debug(`Season range: ${seasonInfo.seasonStartDate} to ${seasonInfo.seasonEndDate}`);
+    }
+
+    return matches;
+  }
+
+  // Calculate all rewind statistics for a season's matches
+  // snapshotsFetchedAt: fetchedAt from fetchProfileSnapshots() - mastery gains are measured against a snapshot
+  // taken before that lookup, since the one it just recorded would make every gain 0
+  computeRewind(puuid, matches, seasonInfo, { timezone = 'UTC', leagueEntries = null, championMasteries = null, snapshotsFetchedAt = null } = {}) {
+    const rankSnapshots = SnapshotStore.getSnapshots('rank', puuid, seasonInfo.seasonStart, seasonInfo.seasonEnd);
+    const masteryBaselineEnd = snapshotsFetchedAt ? Math.min(seasonInfo.seasonEnd, snapshotsFetchedAt - 1) : seasonInfo.seasonEnd;
+    const masterySnapshots = SnapshotStore.getSnapshots('mastery', puuid, seasonInfo.seasonStart, masteryBaselineEnd);
+
+    return {
+      seasonInfo,
+      totalGames: YearEndRewindCalculator.calculateTotalGames(matches),
+      winRate: YearEndRewindCalculator.calculateWinRate(matches),
+      kdaStats: YearEndRewindCalculator.calculateKDA(matches),
+      mostPlayedChampions: YearEndRewindCalculator.getMostPlayedChampions(matches, 5),
+      uniqueChampions: new Set(matches.map(match => match.championId)).size,
+      roleBreakdown: YearEndRewindCalculator.getRoleBreakdown(matches, 3),
+      queueBreakdown: YearEndRewindCalculator.getQueueBreakdown(matches),
+      highlights: YearEndRewindCalculator.getStreaksAndMilestones(matches),
+      activity: YearEndRewindCalculator.getActivityTimeline(matches, timezone),
+      teammateAnalysis: YearEndRewindCalculator.getTeammateAnalysis(matches, 3, 5),
+      matchupAnalysis: YearEndRewindCalculator.getMatchupAnalysis(matches, 3, 3),
+      rankInfo: {
+        current: leagueEntries,
+        peakSolo: YearEndRewindCalculator.getPeakRankFromSnapshots(rankSnapshots, 'RANKED_SOLO_5x5'),
+        peakFlex: YearEndRewindCalculator.getPeakRankFromSnapshots(rankSnapshots, 'RANKED_FLEX_SR')
+      },
+      masteryInsights: championMasteries
+        ? YearEndRewindCalculator.getMasteryInsights(championMasteries, masterySnapshots, matches, 3)
+        : null,
+      trends: {
+        rollingWinRate: YearEndRewindCalculator.getRollingWinRate(matches, 20),
+        gamesPerWeek: YearEndRewindCalculator.getGamesPerWeek(matches, seasonInfo.seasonStart),
+        // Solo/Duo LP history, or Flex for players who only play Flex
+        lpHistory: ['RANKED_SOLO_5x5', 'RANKED_FLEX_SR']
+          .map(queueType => ({ queueType, points: YearEndRewindCalculator.getLpHistory(rankSnapshots, queueType) }))
+          .find(history => history.points.length > 0) || { queueType: 'RANKED_SOLO_5x5', points: [] }
+      }
+    };
+  }
+
+  // Account lookup and the season's match IDs for a Riot ID - the quick part of a rewind
+  // Used where several players are needed at once (/lolcompare); their matches are then collected by
+  // RewindJobQueue jobs. Match details are cached, so games the players share are only fetched once.
+  async findPlayerMatchIds(riotId, seasonInfo, { userRegion = null, queue = QueueFilters.defaultFilter } = {}) {
+    const summoner = await RiotAPIService.getSummonerByRiotId(riotId, userRegion);
+    if (!summoner || !summoner.puuid) {
+      throw new Error('Invalid API response: Summoner data missing PUUID');
+    }
+
+    const displayName = summoner.riotId || (summoner.gameName && summoner.tagLine ? `${summoner.gameName}#${summoner.tagLine}` : null) || riotId;
+    const matchIds = await RiotAPIService.getAllMatchHistoryForYear(summoner.puuid, seasonInfo.season, userRegion, queue);
+
+    return { puuid: summoner.puuid, displayName, matchIds: matchIds || [] };
+  }
+
+  // Head-to-head comparison of two players: { puuid, displayName, matches, rewind } (rewind from computeRewind())
+  compareRewinds(playerA, playerB) {
+    return {
+      headToHead: YearEndRewindCalculator.getHeadToHead(playerA.matches, playerB.matches, playerB.puuid),
+      sharedChampions: YearEndRewindCalculator.getSharedChampions(playerA.matches, playerB.matches, 5),
+      roleOverlap: YearEndRewindCalculator.getRoleOverlap(playerA.rewind.roleBreakdown, playerB.rewind.roleBreakdown)
+    };
+  }
+
+  // Compact, storable summary of a rewind (used for year-over-year comparisons)
+  buildSummary(rewind, queue) {
+    const peakRank = peak => (peak && peak.snapshotCount > 0
+      ? { tier: peak.tier, division: peak.division, lp: peak.lp }
+      : null);
+
+    return {
+      season: rewind.seasonInfo.season,
+      split: rewind.seasonInfo.split,
+      queue,
+      totalGames: rewind.totalGames,
+      winRate: rewind.winRate,
+      kda: rewind.kdaStats.kda,
+      uniqueChampions: rewind.uniqueChampions,
+      topChampions: rewind.mostPlayedChampions.map(champ => ({ championId: champ.championId, gamesPlayed: champ.gamesPlayed })),
+      roles: rewind.roleBreakdown.map(role => ({ role: role.role, gamesPlayed: role.gamesPlayed, share: role.share })),
+      peakSolo: peakRank(rewind.rankInfo.peakSolo),
+      peakFlex: peakRank(rewind.rankInfo.peakFlex)
+    };
+  }
+
+  // Store the rewind summary so the next season's rewind can compare against it
+  recordSummary(puuid, rewind, queue) {
+    const summary = this.buildSummary(rewind, queue);
+    SnapshotStore.record('rewind', puuid, summary);
+    return summary;
+  }
+
+  // Latest stored summary for a season/split/queue (null if that rewind was never run)
+  getSummary(puuid, season, split, queue) {
+    const snapshots = SnapshotStore.load('rewind', puuid).filter(snapshot => snapshot.data &&
+      snapshot.data.season === season &&
+      snapshot.data.split === split &&
+      snapshot.data.queue === queue
+    );
+
+    return snapshots.length > 0 ? snapshots[snapshots.length - 1].data : null;
+  }
+
+  // Record this rewind's summary and compare it with the previous season's (same split and queue)
+  // Returns null when the player has no rewind for the previous season yet
+  compareWithPreviousSeason(puuid, rewind, queue) {
+    const currentSummary = this.recordSummary(puuid, rewind, queue);
+    const previousSummary = this.getSummary(puuid, rewind.seasonInfo.season - 1, rewind.seasonInfo.split, queue);
+
+    if (!previousSummary) {
+      Logger.debug(`No ${rewind.seasonInfo.season - 1} rewind stored for ${puuid.substring(0, 8)}..., skipping year-over-year comparison`);
+      return null;
+    }
+
+    return YearEndRewindCalculator.getYearOverYear(currentSummary, previousSummary);
+  }
+}
+
+module.exports = new RewindService();
@@ -5,6 +5,35 @@ const Logger = require('../utils/Logger');
 const CacheService = require('../utils/CacheService');
 const APIMonitor = require('../utils/APIMonitor');
 const APIKeyManager = require('../utils/APIKeyManager');
+const QueueFilters = require('../utils/QueueFilters');
+const RateLimiter = require('../utils/RateLimiter');
+const SeasonRegistry = require('../utils/SeasonRegistry');
+
+// Riot counts method rate limits per API method, not per URL - endpoint patterns -> method names
+// (names as listed in the Developer Portal; unknown endpoints are limited by their full path)
+const RATE_LIMIT_METHODS = [
+  [/^\/account\/v1\/accounts\/by-riot-id\//, 'account-v1.getByRiotId'],
+  [/^\/account\/v1\/accounts\/by-puuid\//, 'account-v1.getByPuuid'],
+  [/^\/summoner\/v4\/summoners\/by-puuid\//, 'summoner-v4.getByPUUID'],
+  [/^\/summoner\/v4\/summoners\/by-name\//, 'summoner-v4.getBySummonerName'],
+  [/^\/match\/v5\/matches\/by-puuid\/[^/]+\/ids$/, 'match-v5.getMatchIdsByPUUID'],
+  [/^\/match\/v5\/matches\/[^/]+$/, 'match-v5.getMatch'],
+  [/^\/league\/v4\/entries\/by-puuid\//, 'league-v4.getLeagueEntriesByPUUID'],
+  [/^\/champion-mastery\/v4\/champion-masteries\/by-puuid\/[^/]+\/top$/, 'champion-mastery-v4.getTopChampionMasteriesByPUUID'],
+  [/^\/champion-mastery\/v4\/champion-masteries\/by-puuid\//, 'champion-mastery-v4.getAllChampionMasteriesByPUUID']
+];
+
+// Games still running (or not yet in match-v5) when a season ends show up a little later -
+// a season's match list is only treated as final once it was synced this long after the season end
+const SEASON_END_GRACE_PERIOD = 2 * 60 * 60 * 1000;
+
+// Merge match IDs from several match-v5 queries newest first
+// IDs look like "SG2_3061234567": the game number grows over time on a platform, which is the order
+// match-v5 itself returns them in
+function sortMatchIdsNewestFirst(matchIds) {
+  const gameNumber = matchId => Number(String(matchId).split('_').pop()) || 0;
+  return [...new Set(matchIds)].sort((a, b) => gameNumber(b) - gameNumber(a));
+}
 
 class RiotAPIService {
   constructor() {
@@ -121,22 +150,17 @@ class RiotAPIService {
       'Accept': 'application/json'
     };
     
-    // Rate limiting configuration (Riot API allows 20 requests every 1 second)
+    // Request queue - rate limits are tracked per API key, routing value and method by RateLimiter
     this.requestQueue = [];
     this.isProcessing = false;
-    this.rateLimitWindow = 1000; // 1 second
-    this.maxRequestsPerWindow = 20;
-    
-    // Request throttling - track requests per time window
-    this.requestTimestamps = [];
-    this.lastRequestTime = 0;
-    this.minRequestInterval = 50; // Minimum 50ms between requests (20 req/sec max)
-    
-    // Cleanup old timestamps periodically
-    setInterval(() => {
-      const oneMinuteAgo = Date.now() - 60000;
-      this.requestTimestamps = this.requestTimestamps.filter(ts => ts > oneMinuteAgo);
-    }, 60000); // Clean every minute
+    this.resumeQueueCallback = null;
+    
+    // Requests in flight at once, across all regions
+    this.maxConcurrentRequests = 10;
+    this.activeRequests = 0;
+    
+    // How often a request goes back into the queue after a 429 before it fails
+    this.maxRateLimitRetries = 3;
   }
 
   // Helper method to resolve region and platform from user input
@@ -204,32 +228,24 @@ class RiotAPIService {
     return { region, platform };
   }
 
-  // Throttle requests to respect rate limits
-  async throttleRequest() {
-    const now = Date.now();
-    
-    // Ensure minimum interval between requests
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    if (timeSinceLastRequest < this.minRequestInterval) {
-      const waitTime = this.minRequestInterval - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-    
-    // Track request timestamp
-    this.requestTimestamps.push(Date.now());
-    this.lastRequestTime = Date.now();
-    
-    // Check if we're approaching rate limit (20 requests per second)
-    const oneSecondAgo = now - 1000;
-    const recentRequests = this.requestTimestamps.filter(ts => ts > oneSecondAgo);
-    
-    if (recentRequests.length >= this.maxRequestsPerWindow) {
-      // Wait until we can make another request
-      const oldestRequest = Math.min(...recentRequests);
-      const waitTime = 1000 - (now - oldestRequest) + 10; // Add 10ms buffer
-      Logger.debug(`Rate limit approaching, waiting ${waitTime}ms`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
+  // Method name used for method rate limits (see RATE_LIMIT_METHODS)
+  getRateLimitMethod(endpoint) {
+    const match = RATE_LIMIT_METHODS.find(([pattern]) => pattern.test(endpoint));
+    return match ? match[1] : endpoint;
+  }
+
+  // Riot rate limits are counted per routing value: regional for Account/Match, platform for v4 APIs
+  getRateLimitRouting(route, useMatchAPI, useAccountAPI) {
+    return useAccountAPI || useMatchAPI ? route.region : route.platform;
+  }
+
+  // Requests to an endpoint that the rate limits allow right now, summed over all usable API keys
+  getRequestCapacity(endpoint, useMatchAPI = false, useAccountAPI = false, userRegion = null) {
+    const route = this.resolveRegionAndPlatform(userRegion || null, useAccountAPI, useMatchAPI);
+    const routing = this.getRateLimitRouting(route, useMatchAPI, useAccountAPI);
+    const method = this.getRateLimitMethod(endpoint);
+    return APIKeyManager.getAvailableAPIKeys()
+      .reduce((total, key) => total + RateLimiter.getAvailableCapacity(key.id, routing, method), 0);
   }
 
   // Queue system to handle rate limiting
@@ -245,12 +261,28 @@ class RiotAPIService {
       throw new Error('Invalid endpoint provided');
     }
     
+    // Resolve region and platform for this request (use user-provided region if available)
+    // IMPORTANT: Pass API type flags to handle Account API v1's limitation (no 'sea' support)
+    const route = this.resolveRegionAndPlatform(
+      userRegion || null,
+      useAccountAPI,  // Account API v1 only supports americas, asia, europe
+      useMatchAPI     // Match API v5 supports americas, asia, europe, sea
+    );
+    
+    const routing = this.getRateLimitRouting(route, useMatchAPI, useAccountAPI);
+    const method = this.getRateLimitMethod(endpoint);
+    
+    // Identical requests already on their way (same routing value, endpoint and parameters) share one API call
+    // - e.g. several people looking up the same player at once
+    const requestKey = CacheService.generateKey('request', routing, endpoint, JSON.stringify(params));
+    
     // Queue the request - rate limiting will be applied in processQueue()
     // Note: Cached data never reaches this point, so rate limiting only applies to actual API calls
-    return new Promise((resolve, reject) => {
-      this.requestQueue.push({ endpoint, params, resolve, reject, useMatchAPI, useAccountAPI, userRegion });
+    return CacheService.shareInFlight(requestKey, () => new Promise((resolve, reject) => {
+      this.requestQueue.push({ endpoint, params, resolve, reject, useMatchAPI, useAccountAPI, userRegion, route, routing, method });
+      this.resumeQueue();
       this.processQueue();
-    });
+    }));
   }
 
   async processQueue() {
@@ -260,300 +292,30 @@ class RiotAPIService {
     
     try {
       while (this.requestQueue.length > 0) {
+        // Requests run concurrently - wait for a free slot before taking the next one
+        if (this.activeRequests >= this.maxConcurrentRequests) {
+          await this.pauseQueue();
+          continue;
+        }
+        
         // IMPORTANT: Rate limiting applies ONLY to actual API requests
         // Cached data never reaches this queue, so it's never rate-limited
-        // Check rate limits before processing API request
-        const rateLimitCheck = APIMonitor.canMakeRequest();
-        if (!rateLimitCheck.allowed) {
-          Logger.warn(`Rate limit reached, waiting ${rateLimitCheck.retryAfter}s (only applies to API requests, not cached data)`);
-          await new Promise(resolve => setTimeout(resolve, rateLimitCheck.retryAfter * 1000));
+        const { request, apiKeyInfo, waitTime } = this.takeNextRequest();
+        if (!request) {
+          // Every queued request is out of budget - wait until the first one frees up (or a new one is queued)
+          Logger.debug(`Rate limit reached for all ${this.requestQueue.length} queued request(s), waiting ${waitTime}ms`);
+          await this.pauseQueue(waitTime);
           continue;
         }
         
-        // Throttle requests to respect rate limits (only for actual API calls)
-        await this.throttleRequest();
-        
-        const { endpoint, params, resolve, reject, useMatchAPI, useAccountAPI, userRegion } = this.requestQueue.shift();
-        
-        // Retry logic: try up to 3 API keys on 401 errors
-        let requestSucceeded = false;
-        let lastError = null;
-        const maxKeyRetries = Math.min(APIKeyManager.apiKeys.length, 3);
-        let keysTried = [];
-        
-        for (let keyAttempt = 0; keyAttempt < maxKeyRetries && !requestSucceeded; keyAttempt++) {
-          // Get API key for this request
-          let apiKeyInfo;
-          try {
-            apiKeyInfo = APIKeyManager.getNextAPIKey();
-          } catch (keyError) {
-            Logger.error('Failed to get API key:', keyError.message);
-            if (keyAttempt === 0) {
-              const error = new Error('No API keys available. Please configure RIOT_API_KEY in your .env file.');
-              error.response = { status: 500, statusText: 'Internal Server Error' };
-              reject(error);
-            }
-            break;
-          }
-          
-          const apiKey = apiKeyInfo.key;
-          const apiKeyId = apiKeyInfo.id;
-          keysTried.push(apiKeyId);
-          
-          if (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length === 0) {
-            Logger.warn(`API key ${apiKeyId} is invalid, trying next key...`);
-            APIKeyManager.recordError(apiKeyId, 401);
-            continue;
-          }
-          
-          try {
-          // Resolve region and platform for this request (use user-provided region if available)
-          // IMPORTANT: Pass API type flags to handle Account API v1's limitation (no 'sea' support)
-          const { region: requestRegion, platform: requestPlatform } = this.resolveRegionAndPlatform(
-            userRegion || null,
-            useAccountAPI,  // Account API v1 only supports americas, asia, europe
-            useMatchAPI     // Match API v5 supports americas, asia, europe, sea
-          );
-          
-          // Determine base URL based on API type and resolved region:
-          // - Account API v1: uses REGIONAL routing (americas, asia, europe only - NO sea)
-          // - v4 APIs (Summoner, League, Champion Mastery): use PLATFORM routing values
-          // - v5 APIs (Match): use REGIONAL routing values (includes sea)
-          let baseURL;
-          if (useAccountAPI) {
-            // Account API v1: https://{americas|asia|europe}.api.riotgames.com/riot
-            baseURL = `https://${requestRegion}.api.riotgames.com/riot`;
-          } else if (useMatchAPI) {
-            // Match API v5: https://{americas|asia|europe|sea}.api.riotgames.com/lol
-            baseURL = `https://${requestRegion}.api.riotgames.com/lol`;
-          } else {
-            // v4 APIs: https://{platform}.api.riotgames.com/lol (e.g., sg2, na1, euw1)
-            baseURL = `https://${requestPlatform}.api.riotgames.com/lol`;
-          }
-          const url = `${baseURL}${endpoint}`;
-          
-          // Remove the temporary _userRegion param before making the request
-          const cleanParams = { ...params };
-          delete cleanParams._userRegion;
-          
-          // API key already validated above
-          
-          // Build headers dynamically to ensure API key is always included
-          const requestHeaders = {
-            'X-Riot-Token': apiKey.trim(),
-            'Accept': 'application/json'
-          };
-          
-          // Log request details for debugging (without exposing full API key)
-          const apiKeyPreview = apiKey ? `${apiKey.substring(0, 8)}...${apiKey.substring(apiKey.length - 4)}` : 'MISSING';
-          Logger.debug(`Making API request`, {
-            endpoint: endpoint,
-            baseURL: baseURL,
-            fullURL: url,
-            requestRegion: requestRegion,
-            requestPlatform: requestPlatform,
-            userRegion: userRegion || 'default',
-            apiKeyId: apiKeyId,
-            apiKeyPreview: apiKeyPreview,
-            apiKeyLength: apiKey?.length || 0,
-            headerName: 'X-Riot-Token',
-            headerValueSet: !!requestHeaders['X-Riot-Token'],
-            useAccountAPI: useAccountAPI,
-            useMatchAPI: useMatchAPI
-          });
-          
-          const response = await axios.get(url, {
-            headers: requestHeaders,
-            params: cleanParams,
-            timeout: 30000, // 30 second timeout (increased from 10s for slow connections)
-            responseType: 'json',
-            // Additional axios configuration for better timeout handling
-            validateStatus: function (status) {
-              return status < 500; // Don't throw for 4xx errors, only 5xx
-            }
-          });
-          
-          const requestDuration = Date.now() - (response.config?.metadata?.startTime || Date.now());
-          
-          // Check if response contains an error status object (Riot API error format)
-          if (response.data && response.data.status && response.data.status.status_code) {
-            // This is an error response from Riot API
-            const statusCode = response.data.status.status_code;
-            
-            // If 401 (authentication error), try next API key
-            if (statusCode === 401 && keyAttempt < maxKeyRetries - 1) {
-              Logger.warn(`API key ${apiKeyId} returned 401 (Unknown apikey), trying next key...`);
-              APIMonitor.recordRequest(apiKeyId, endpoint, statusCode, false, requestDuration);
-              APIKeyManager.recordError(apiKeyId, statusCode);
-              lastError = new Error(response.data.status.message || 'Unknown apikey');
-              lastError.response = {
-                status: statusCode,
-                statusText: response.data.status.message || 'Error',
-                data: response.data
-              };
-              lastError.apiKeyId = apiKeyId;
-              continue; // Try next key
-            }
-            
-            Logger.apiRequest('GET', endpoint, statusCode, requestDuration);
-            Logger.error(`API Error Response`, {
-              endpoint,
-              statusCode,
-              message: response.data.status.message,
-              url,
-              apiKeyId
-            });
-            
-            // Record error
-            APIMonitor.recordRequest(apiKeyId, endpoint, statusCode, false, requestDuration);
-            APIKeyManager.recordError(apiKeyId, statusCode);
-            
-            const error = new Error(response.data.status.message || 'API Error');
-            error.response = {
-              status: statusCode,
-              statusText: response.data.status.message || 'Error',
-              data: response.data
-            };
-            error.config = { url };
-            error.url = url;
-            error.apiKeyId = apiKeyId;
-            reject(error);
-            requestSucceeded = true; // Mark as handled
-            break;
-          }
-          
-          // Extract rate limit headers from response (as per user requirement)
-          // This will be used for both error and success cases
-          const rateLimitHeaders = {
-            'X-App-Rate-Limit': response.headers['x-app-rate-limit'] || response.headers['X-App-Rate-Limit'],
-            'X-App-Rate-Limit-Count': response.headers['x-app-rate-limit-count'] || response.headers['X-App-Rate-Limit-Count'],
-            'X-Method-Rate-Limit': response.headers['x-method-rate-limit'] || response.headers['X-Method-Rate-Limit'],
-            'X-Method-Rate-Limit-Count': response.headers['x-method-rate-limit-count'] || response.headers['X-Method-Rate-Limit-Count'],
-            'Retry-After': response.headers['retry-after'] || response.headers['Retry-After']
-          };
-          
-          // Log rate limit headers for monitoring (as per user requirement)
-          if (rateLimitHeaders['X-App-Rate-Limit'] || rateLimitHeaders['X-Method-Rate-Limit']) {
-            Logger.debug('Rate limit headers received:', rateLimitHeaders);
-          }
-          
-          // Check for HTTP error status codes
-          if (response.status >= 400) {
-            // If 401 (authentication error), try next API key
-            if (response.status === 401 && keyAttempt < maxKeyRetries - 1) {
-              Logger.warn(`API key ${apiKeyId} returned 401, trying next key...`);
-              APIMonitor.recordRequest(apiKeyId, endpoint, response.status, false, requestDuration);
-              APIKeyManager.recordError(apiKeyId, response.status);
-              lastError = new Error(`HTTP ${response.status}: ${response.statusText || 'Error'}`);
-              lastError.response = {
-                status: response.status,
-                statusText: response.statusText,
-                data: response.data
-              };
-              lastError.apiKeyId = apiKeyId;
-              continue; // Try next key
-            }
-            
-            Logger.apiRequest('GET', endpoint, response.status, requestDuration);
-            Logger.error(`HTTP Error`, {
-              endpoint,
-              status: response.status,
-              statusText: response.statusText,
-              url,
-              apiKeyId
-            });
-            
-            // Record error
-            APIMonitor.recordRequest(apiKeyId, endpoint, response.status, false, requestDuration);
-            APIKeyManager.recordError(apiKeyId, response.status);
-            
-            const error = new Error(`HTTP ${response.status}: ${response.statusText || 'Error'}`);
-            error.response = {
-              status: response.status,
-              statusText: response.statusText,
-              data: response.data
-            };
-            error.config = { url };
-            error.url = url;
-            error.apiKeyId = apiKeyId;
-            reject(error);
-            requestSucceeded = true; // Mark as handled
-            break;
-          }
-          
-          // Success! (rateLimitHeaders already extracted above)
-          Logger.apiRequest('GET', endpoint, response.status, requestDuration);
-          
-          // Record success
-          APIMonitor.recordRequest(apiKeyId, endpoint, response.status, false, requestDuration);
-          APIKeyManager.recordSuccess(apiKeyId);
-          
-          // Log response details for match history requests (as per user requirement)
-          if (endpoint.includes('/matches/by-puuid') && endpoint.includes('/ids')) {
-            Logger.debug('Match history API response:', {
-              url: url,
-              params: cleanParams,
-              status: response.status,
-              matchCount: Array.isArray(response.data) ? response.data.length : 0,
-              rateLimitHeaders: rateLimitHeaders,
-              responseBodyType: Array.isArray(response.data) ? 'array' : typeof response.data
-            });
-            
-            // Validate response is an array of match IDs (as per user requirement)
-            if (!Array.isArray(response.data)) {
-              Logger.error('Invalid response format: Expected array of match IDs, got:', typeof response.data);
-              const error = new Error('Invalid API response: Expected array of match IDs');
-              error.response = {
-                status: response.status,
-                statusText: 'Invalid response format',
-                data: response.data
-              };
-              reject(error);
-              requestSucceeded = true;
-              break;
-            }
-          }
-          
-          resolve(response.data);
-          requestSucceeded = true;
-          
-          // Small delay between requests to respect rate limits (already throttled above)
-          await new Promise(resolveDelay => setTimeout(resolveDelay, 10));
-          break; // Exit retry loop on success
-        } catch (error) {
-          // Handle axios errors
-          if (error.response && error.response.status === 401 && keyAttempt < maxKeyRetries - 1) {
-            Logger.warn(`API key ${apiKeyId} returned 401, trying next key...`);
-            APIMonitor.recordRequest(apiKeyId, endpoint, 401, false, 0);
-            APIKeyManager.recordError(apiKeyId, 401);
-            lastError = error;
-            lastError.apiKeyId = apiKeyId;
-            continue; // Try next key
-          }
-          
-          // For other errors, break and handle below
-          lastError = error;
-          lastError.apiKeyId = apiKeyId;
-          break;
-        }
-      }
-      
-      // If we exhausted all keys or had a non-401 error, reject
-      if (!requestSucceeded) {
-        if (lastError) {
-          Logger.error(`All API keys failed or error occurred:`, {
-            keysTried: keysTried,
-            lastError: lastError.message,
-            lastApiKeyId: lastError.apiKeyId
+        this.activeRequests++;
+        this.executeRequest(request, apiKeyInfo)
+          .catch(error => request.reject(error))
+          .finally(() => {
+            this.activeRequests--;
+            this.resumeQueue();
+            this.processQueue(); // Picks up requests put back after a 429
           });
-          reject(lastError);
-        } else {
-          const error = new Error('All API keys failed authentication (401). Please check your API keys in .env file.');
-          error.response = { status: 401, statusText: 'Unauthorized' };
-          reject(error);
-        }
-        continue;
-        }
       }
     } catch (error) {
       Logger.error('Critical error in request queue processing:', {
@@ -573,6 +335,374 @@ class RiotAPIService {
     }
   }
 
+  // Take the first queued request that one of the API keys has rate limit budget for
+  // Requests for a region or method that is out of budget stay queued without holding up the others
+  // Keys in request.excludedKeys (they returned 401 for it, see executeRequest()) are skipped
+  // Returns { request, apiKeyInfo }, or { request: null, waitTime } with the milliseconds until one frees up
+  takeNextRequest() {
+    const apiKeys = APIKeyManager.getAvailableAPIKeys();
+    if (apiKeys.length === 0) {
+      throw new Error('No API keys available. Please configure RIOT_API_KEY in your .env file.');
+    }
+    
+    let waitTime = Infinity;
+    for (const [index, request] of this.requestQueue.entries()) {
+      const requestKeys = this.getRetryKeys(request, apiKeys);
+      
+      // Every key left was excluded while the request waited - fail it with the last 401
+      if (requestKeys.length === 0) {
+        this.requestQueue.splice(index, 1);
+        const error = request.lastError || new Error('All API keys failed authentication (401). Please check your API keys in .env file.');
+        request.reject(error);
+        return this.takeNextRequest();
+      }
+      
+      for (const apiKeyInfo of requestKeys) {
+        const keyWaitTime = RateLimiter.getWaitTime(apiKeyInfo.id, request.routing, request.method);
+        if (keyWaitTime === 0) {
+          this.requestQueue.splice(index, 1);
+          RateLimiter.reserve(apiKeyInfo.id, request.routing, request.method);
+          APIKeyManager.recordUse(apiKeyInfo.id);
+          return { request, apiKeyInfo };
+        }
+        waitTime = Math.min(waitTime, keyWaitTime);
+      }
+    }
+    return { request: null, waitTime };
+  }
+  
+  // Keys a request may still be sent with (all usable keys minus the ones that returned 401 for it)
+  getRetryKeys(request, apiKeys = APIKeyManager.getAvailableAPIKeys()) {
+    const excludedKeys = request.excludedKeys || [];
+    return apiKeys.filter(apiKeyInfo => !excludedKeys.includes(apiKeyInfo.id));
+  }
+
+  // Pause processQueue() until a request finishes, a new one is queued or `ms` have passed
+  pauseQueue(ms = null) {
+    return new Promise(resolve => {
+      const timer = ms !== null ? setTimeout(() => this.resumeQueue(), ms) : null;
+      this.resumeQueueCallback = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  resumeQueue() {
+    const callback = this.resumeQueueCallback;
+    this.resumeQueueCallback = null;
+    if (callback) callback();
+  }
+
+  // Send one queued request, retrying with the next API key on 401 errors
+  // Settles the request's promise (resolve/reject) - several of these run at once, see processQueue()
+  // assignedKey: the key takeNextRequest() reserved rate limit budget on (used for the first attempt)
+  async executeRequest(request, assignedKey = null) {
+    const { endpoint, params, resolve, reject, useMatchAPI, useAccountAPI, userRegion, route, routing, method } = request;
+    
+    // Retry logic: try up to 3 API keys on 401 errors
+    // Keys that already failed survive a trip back through the queue in request.excludedKeys
+    let requestSucceeded = false;
+    let lastError = request.lastError || null;
+    const maxKeyRetries = Math.min(APIKeyManager.apiKeys.length, 3);
+    let keysTried = [...(request.excludedKeys || [])];
+    const firstAttempt = keysTried.length;
+    
+    for (let keyAttempt = firstAttempt; keyAttempt < maxKeyRetries && !requestSucceeded; keyAttempt++) {
+      // Get API key for this request - retries pick a key the same way takeNextRequest() does
+      let apiKeyInfo;
+      if (keyAttempt === firstAttempt && assignedKey) {
+        apiKeyInfo = assignedKey;
+      } else {
+        request.excludedKeys = keysTried;
+        const retryKeys = this.getRetryKeys(request);
+        if (retryKeys.length === 0) {
+          if (keyAttempt === 0) {
+            lastError = new Error('No API keys available. Please configure RIOT_API_KEY in your .env file.');
+            lastError.response = { status: 500, statusText: 'Internal Server Error' };
+          }
+          break;
+        }
+        
+        apiKeyInfo = retryKeys.find(key => RateLimiter.getWaitTime(key.id, routing, method) === 0);
+        if (!apiKeyInfo) {
+          // The other keys are out of budget for this region/method - wait in the queue like any other request
+          Logger.debug(`No rate limit budget for a retry of ${endpoint}, requeueing without key(s) ${keysTried.join(', ')}`);
+          request.lastError = lastError;
+          this.requestQueue.unshift(request);
+          requestSucceeded = true; // Settled by the retry
+          break;
+        }
+        RateLimiter.reserve(apiKeyInfo.id, routing, method);
+        APIKeyManager.recordUse(apiKeyInfo.id);
+      }
+      
+      const apiKey = apiKeyInfo.key;
+      const apiKeyId = apiKeyInfo.id;
+      keysTried.push(apiKeyId);
+      
+      if (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length === 0) {
+        Logger.warn(`API key ${apiKeyId} is invalid, trying next key...`);
+        APIKeyManager.recordError(apiKeyId, 401);
+        continue;
+      }
+      
+      try {
+      // Region and platform were resolved when the request was queued (see makeRequest())
+      const { region: requestRegion, platform: requestPlatform } = route;
+      
+      // Determine base URL based on API type and resolved region:
+      // - Account API v1: uses REGIONAL routing (americas, asia, europe only - NO sea)
+      // - v4 APIs (Summoner, League, Champion Mastery): use PLATFORM routing values
+      // - v5 APIs (Match): use REGIONAL routing values (includes sea)
+      let baseURL;
+      if (useAccountAPI) {
+        // Account API v1: https://{americas|asia|europe}.api.riotgames.com/riot
+        baseURL = `https://${requestRegion}.api.riotgames.com/riot`;
+      } else if (useMatchAPI) {
+        // Match API v5: https://{americas|asia|europe|sea}.api.riotgames.com/lol
+        baseURL = `https://${requestRegion}.api.riotgames.com/lol`;
+      } else {
+        // v4 APIs: https://{platform}.api.riotgames.com/lol (e.g., sg2, na1, euw1)
+        baseURL = `https://${requestPlatform}.api.riotgames.com/lol`;
+      }
+      const url = `${baseURL}${endpoint}`;
+      
+      // Remove the temporary _userRegion param before making the request
+      const cleanParams = { ...params };
+      delete cleanParams._userRegion;
+      
+      // API key already validated above
+      
+      // Build headers dynamically to ensure API key is always included
+      const requestHeaders = {
+        'X-Riot-Token': apiKey.trim(),
+        'Accept': 'application/json'
+      };
+      
+      // Log request details for debugging (without exposing full API key)
+      const apiKeyPreview = apiKey ? `${apiKey.substring(0, 8)}...${apiKey.substring(apiKey.length - 4)}` : 'MISSING';
+      Logger.debug(`Making API request`, {
+        endpoint: endpoint,
+        baseURL: baseURL,
+        fullURL: url,
+        requestRegion: requestRegion,
+        requestPlatform: requestPlatform,
+        userRegion: userRegion || 'default',
+        apiKeyId: apiKeyId,
+        apiKeyPreview: apiKeyPreview,
+        apiKeyLength: apiKey?.length || 0,
+        headerName: 'X-Riot-Token',
+        headerValueSet: !!requestHeaders['X-Riot-Token'],
+        useAccountAPI: useAccountAPI,
+        useMatchAPI: useMatchAPI
+      });
+      
+      const response = await axios.get(url, {
+        headers: requestHeaders,
+        params: cleanParams,
+        timeout: 30000, // 30 second timeout (increased from 10s for slow connections)
+        responseType: 'json',
+        // Additional axios configuration for better timeout handling
+        validateStatus: function (status) {
+          return status < 500; // Don't throw for 4xx errors, only 5xx
+        }
+      });
+      
+      const requestDuration = Date.now() - (response.config?.metadata?.startTime || Date.now());
+      
+      // Keep the rate limiter in step with Riot's limits and counts for this key, region and method
+      RateLimiter.update(apiKeyId, routing, method, response.headers);
+      
+      // 429: pause that bucket for Retry-After and put the request back at the front of the queue
+      if (response.status === 429) {
+        RateLimiter.recordRateLimited(apiKeyId, routing, method, response.headers);
+        request.rateLimitRetries = (request.rateLimitRetries || 0) + 1;
+        if (request.rateLimitRetries <= this.maxRateLimitRetries) {
+          APIMonitor.recordRequest(apiKeyId, endpoint, response.status, false, requestDuration);
+          this.requestQueue.unshift(request);
+          requestSucceeded = true; // Settled by the retry
+          break;
+        }
+      }
+      
+      // Check if response contains an error status object (Riot API error format)
+      if (response.data && response.data.status && response.data.status.status_code) {
+        // This is an error response from Riot API
+        const statusCode = response.data.status.status_code;
+        
+        // If 401 (authentication error), try next API key
+        if (statusCode === 401 && keyAttempt < maxKeyRetries - 1) {
+          Logger.warn(`API key ${apiKeyId} returned 401 (Unknown apikey), trying next key...`);
+          APIMonitor.recordRequest(apiKeyId, endpoint, statusCode, false, requestDuration);
+          APIKeyManager.recordError(apiKeyId, statusCode);
+          lastError = new Error(response.data.status.message || 'Unknown apikey');
+          lastError.response = {
+            status: statusCode,
+            statusText: response.data.status.message || 'Error',
+            data: response.data
+          };
+          lastError.apiKeyId = apiKeyId;
+          continue; // Try next key
+        }
+        
+        Logger.apiRequest('GET', endpoint, statusCode, requestDuration);
+        Logger.error(`API Error Response`, {
+          endpoint,
+          statusCode,
+          message: response.data.status.message,
+          url,
+          apiKeyId
+        });
+        
+        // Record error
+        APIMonitor.recordRequest(apiKeyId, endpoint, statusCode, false, requestDuration);
+        APIKeyManager.recordError(apiKeyId, statusCode);
+        
+        const error = new Error(response.data.status.message || 'API Error');
+        error.response = {
+          status: statusCode,
+          statusText: response.data.status.message || 'Error',
+          data: response.data
+        };
+        error.config = { url };
+        error.url = url;
+        error.apiKeyId = apiKeyId;
+        reject(error);
+        requestSucceeded = true; // Mark as handled
+        break;
+      }
+      
+      // Extract rate limit headers from response (as per user requirement)
+      // This will be used for both error and success cases
+      const rateLimitHeaders = {
+        'X-App-Rate-Limit': response.headers['x-app-rate-limit'] || response.headers['X-App-Rate-Limit'],
+        'X-App-Rate-Limit-Count': response.headers['x-app-rate-limit-count'] || response.headers['X-App-Rate-Limit-Count'],
+        'X-Method-Rate-Limit': response.headers['x-method-rate-limit'] || response.headers['X-Method-Rate-Limit'],
+        'X-Method-Rate-Limit-Count': response.headers['x-method-rate-limit-count'] || response.headers['X-Method-Rate-Limit-Count'],
+        'Retry-After': response.headers['retry-after'] || response.headers['Retry-After']
+      };
+      
+      // Log rate limit headers for monitoring (as per user requirement)
+      if (rateLimitHeaders['X-App-Rate-Limit'] || rateLimitHeaders['X-Method-Rate-Limit']) {
+        Logger.debug('Rate limit headers received:', rateLimitHeaders);
+      }
+      
+      // Check for HTTP error status codes
+      if (response.status >= 400) {
+        // If 401 (authentication error), try next API key
+        if (response.status === 401 && keyAttempt < maxKeyRetries - 1) {
+          Logger.warn(`API key ${apiKeyId} returned 401, trying next key...`);
+          APIMonitor.recordRequest(apiKeyId, endpoint, response.status, false, requestDuration);
+          APIKeyManager.recordError(apiKeyId, response.status);
+          lastError = new Error(`HTTP ${response.status}: ${response.statusText || 'Error'}`);
+          lastError.response = {
+            status: response.status,
+            statusText: response.statusText,
+            data: response.data
+          };
+          lastError.apiKeyId = apiKeyId;
+          continue; // Try next key
+        }
+        
+        Logger.apiRequest('GET', endpoint, response.status, requestDuration);
+        Logger.error(`HTTP Error`, {
+          endpoint,
+          status: response.status,
+          statusText: response.statusText,
+          url,
+          apiKeyId
+        });
+        
+        // Record error
+        APIMonitor.recordRequest(apiKeyId, endpoint, response.status, false, requestDuration);
+        APIKeyManager.recordError(apiKeyId, response.status);
+        
+        const error = new Error(`HTTP ${response.status}: ${response.statusText || 'Error'}`);
+        error.response = {
+          status: response.status,
+          statusText: response.statusText,
+          data: response.data
+        };
+        error.config = { url };
+        error.url = url;
+        error.apiKeyId = apiKeyId;
+        reject(error);
+        requestSucceeded = true; // Mark as handled
+        break;
+      }
+      
+      // Success! (rateLimitHeaders already extracted above)
+      Logger.apiRequest('GET', endpoint, response.status, requestDuration);
+      
+      // Record success
+      APIMonitor.recordRequest(apiKeyId, endpoint, response.status, false, requestDuration);
+      APIKeyManager.recordSuccess(apiKeyId);
+      
+      // Log response details for match history requests (as per user requirement)
+      if (endpoint.includes('/matches/by-puuid') && endpoint.includes('/ids')) {
+        Logger.debug('Match history API response:', {
+          url: url,
+          params: cleanParams,
+          status: response.status,
+          matchCount: Array.isArray(response.data) ? response.data.length : 0,
+          rateLimitHeaders: rateLimitHeaders,
+          responseBodyType: Array.isArray(response.data) ? 'array' : typeof response.data
+        });
+        
+        // Validate response is an array of match IDs (as per user requirement)
+        if (!Array.isArray(response.data)) {
+          Logger.error('Invalid response format: Expected array of match IDs, got:', typeof response.data);
+          const error = new Error('Invalid API response: Expected array of match IDs');
+          error.response = {
+            status: response.status,
+            statusText: 'Invalid response format',
+            data: response.data
+          };
+          reject(error);
+          requestSucceeded = true;
+          break;
+        }
+      }
+      
+      resolve(response.data);
+      requestSucceeded = true;
+      break; // Exit retry loop on success
+      } catch (error) {
+        // Handle axios errors
+        if (error.response && error.response.status === 401 && keyAttempt < maxKeyRetries - 1) {
+          Logger.warn(`API key ${apiKeyId} returned 401, trying next key...`);
+          APIMonitor.recordRequest(apiKeyId, endpoint, 401, false, 0);
+          APIKeyManager.recordError(apiKeyId, 401);
+          lastError = error;
+          lastError.apiKeyId = apiKeyId;
+          continue; // Try next key
+        }
+        
+        // For other errors, break and handle below
+        lastError = error;
+        lastError.apiKeyId = apiKeyId;
+        break;
+      }
+    }
+    
+    // If we exhausted all keys or had a non-401 error, reject
+    if (!requestSucceeded) {
+      if (lastError) {
+        Logger.error(`All API keys failed or error occurred:`, {
+          keysTried: keysTried,
+          lastError: lastError.message,
+          lastApiKeyId: lastError.apiKeyId
+        });
+        reject(lastError);
+      } else {
+        const error = new Error('All API keys failed authentication (401). Please check your API keys in .env file.');
+        error.response = { status: 401, statusText: 'Unauthorized' };
+        reject(error);
+      }
+    }
+  }
+
   // Get account by Riot ID (gameName + tagLine)
   // Uses REGIONAL routing value (Account API v1)
   // See: https://developer.riotgames.com/apis#account-v1/GET_getByRiotId
@@ -663,10 +793,61 @@ class RiotAPIService {
     }
   }
 
+  // Get account (current Riot ID) by PUUID
+  // Uses REGIONAL routing value (Account API v1)
+  // Not cached: linked accounts (/link) are stored by PUUID and this is how Riot ID renames are picked up
+  // See: https://developer.riotgames.com/apis#account-v1/GET_getByPuuid
+  async getAccountByPUUID(puuid, userRegion = null) {
+    if (!puuid || typeof puuid !== 'string' || puuid.trim().length === 0) {
+      throw new Error('PUUID is required and must be a non-empty string');
+    }
+    
+    const endpoint = `/account/v1/accounts/by-puuid/${encodeURIComponent(puuid)}`;
+    
+    try {
+      const startTime = Date.now();
+      // Account API uses REGIONAL routing (v1 API) - separate base URL
+      const account = await this.makeRequest(endpoint, {}, false, true, userRegion);
+      const duration = Date.now() - startTime;
+      Logger.apiRequest('GET', endpoint, 200, duration);
+      
+      // Validate response structure
+      if (!account || typeof account !== 'object') {
+        throw new Error('Invalid API response: Expected object but received ' + typeof account);
+      }
+      
+      // Check if response is an error object
+      if (account.status && account.status.status_code) {
+        const statusCode = account.status.status_code;
+        const errorMessage = account.status.message || 'API Error';
+        
+        const apiError = new Error(errorMessage);
+        apiError.response = {
+          status: statusCode,
+          statusText: errorMessage,
+          data: account
+        };
+        throw apiError;
+      }
+      
+      return account;
+    } catch (error) {
+      // Preserve error status codes
+      if (error.response?.status) {
+        const apiError = new Error(error.message || 'API Error');
+        apiError.response = error.response;
+        apiError.status = error.response.status;
+        throw apiError;
+      }
+      throw error;
+    }
+  }
+
   // Get summoner by PUUID
   // Uses PLATFORM routing value (v4 API)
   // See: https://developer.riotgames.com/apis#summoner-v4/GET_getByPUUID
-  async getSummonerByPUUID(puuid, userRegion = null) {
+  // bypassCache fetches fresh data (e.g. the current profileIconId for /link verification)
+  async getSummonerByPUUID(puuid, userRegion = null, bypassCache = false) {
     if (!puuid || typeof puuid !== 'string' || puuid.trim().length === 0) {
       throw new Error('PUUID is required and must be a non-empty string');
     }
@@ -674,7 +855,7 @@ class RiotAPIService {
     // IMPORTANT: Check cache FIRST - cached data bypasses rate limiting entirely
     // Cached data returns immediately without any rate limit checks or API calls
     const cacheKey = CacheService.generateKey('summoner', puuid, userRegion || 'default');
-    const cachedSummoner = CacheService.get(cacheKey);
+    const cachedSummoner = bypassCache ? null : CacheService.get(cacheKey);
     if (cachedSummoner) {
       Logger.info(`Summoner cache HIT: ${puuid.substring(0, 8)}... (bypassing rate limits)`, { region: userRegion });
       // Record cache hit in monitor (not counted as API request)
@@ -731,6 +912,20 @@ class RiotAPIService {
     }
   }
 
+  // Get summoner by PUUID together with the account's current Riot ID
+  // Same shape as getSummonerByRiotId(); used for linked accounts, which survive Riot ID renames
+  async getSummonerWithRiotId(puuid, userRegion = null) {
+    const account = await this.getAccountByPUUID(puuid, userRegion);
+    const summoner = await this.getSummonerByPUUID(puuid, userRegion);
+    
+    return {
+      ...summoner,
+      gameName: account.gameName,
+      tagLine: account.tagLine,
+      riotId: account.gameName ? `${account.gameName}#${account.tagLine}` : null
+    };
+  }
+
   // Get summoner by Riot ID (handles Name#Tag format)
   // This is the new recommended method - uses Account API v1 + Summoner API v4
   // Replaces the deprecated by-name endpoint
@@ -872,8 +1067,11 @@ class RiotAPIService {
 
   // Get match history
   // Uses REGIONAL routing value (v5 API)
-  // Note: No queue filter - fetches ALL game types (ranked, normal, ARAM, etc.)
-  async getMatchHistory(puuid, start = 0, count = 20, userRegion = null, queueId = null) {
+  // queue is a QueueFilters key ('ranked', 'ranked_solo', 'aram', 'all', ...) - defaults to all ranked queues
+  // startTime/endTime (epoch seconds) limit the list to games in that range
+  // apiQuery picks one of the filter's match-v5 queries - required for filters that need several (Arena)
+  // Pages are not cached: every new game shifts them, getAllMatchHistoryForYear() keeps its own sync state instead
+  async getMatchHistory(puuid, start = 0, count = 20, userRegion = null, queue = QueueFilters.defaultFilter, { startTime = null, endTime = null, apiQuery = null } = {}) {
     if (!puuid || typeof puuid !== 'string' || puuid.trim().length === 0) {
       throw new Error('PUUID is required and must be a non-empty string');
     }
@@ -882,38 +1080,25 @@ class RiotAPIService {
       throw new Error('Invalid start or count parameters');
     }
     
-    // Generate cache key for this batch (include type=ranked in cache key)
-    const cacheKey = CacheService.generateKey('matchHistoryBatch', puuid, start, count, userRegion || 'default', 'ranked', queueId || 'all');
-    
-    // IMPORTANT: Check cache FIRST - cached data bypasses rate limiting entirely
-    // Cached data returns immediately without any rate limit checks or API calls
-    const cachedBatch = CacheService.get(cacheKey, null, true);
-    if (cachedBatch) {
-      Logger.debug(`Match history batch cache HIT: puuid=${puuid.substring(0, 8)}..., start=${start}, count=${count} (bypassing rate limits)`);
-      // Return cached data immediately - no rate limiting applied
-      return cachedBatch;
+    const queueFilter = QueueFilters.getFilter(queue);
+    if (!apiQuery && queueFilter.apiQueries.length > 1) {
+      throw new Error(`The ${queueFilter.label} filter needs one request per queue - pass apiQuery or use getAllMatchHistoryForYear()`);
     }
     
-    // Cache miss - fetch from API (rate limiting applies only to actual API requests)
-    // Request format: /match/v5/matches/by-puuid/{puuid}/ids?type=ranked&start={start}&count={count}
+    // Request format: /match/v5/matches/by-puuid/{puuid}/ids?[type=ranked|queue={queueId}]&[startTime=..&endTime=..]&start={start}&count={count}
     const endpoint = `/match/v5/matches/by-puuid/${encodeURIComponent(puuid)}/ids`;
     const params = {
-      type: 'ranked', // Required: Filter for ranked games only
-      start: start,   // Pagination start index
-      count: count    // Number of matches to fetch (100 when fetching all)
+      ...(apiQuery || queueFilter.apiQueries[0]), // type/queue filter (empty for All Queues)
+      start: start,             // Pagination start index
+      count: count              // Number of matches to fetch (100 when fetching all)
     };
+    if (startTime !== null) params.startTime = startTime;
+    if (endTime !== null) params.endTime = endTime;
     
-    // Only add queue filter if specified (for backward compatibility)
-    // Note: type=ranked takes precedence, but queueId can be used for additional filtering
-    if (queueId !== null) {
-      params.queue = queueId;
-    }
-    
-    // Log request parameters to match user's expected format
     Logger.debug('Match history request:', {
       endpoint: endpoint,
       params: params,
-      expectedFormat: `type=ranked&start=${start}&count=${count}`
+      queueFilter: queueFilter.key
     });
     
     const matchIds = await this.makeRequest(endpoint, params, true, false, userRegion);
@@ -924,166 +1109,122 @@ class RiotAPIService {
       throw new Error('Invalid API response: Expected array of match IDs');
     }
     
-    // Cache the result for future requests
-    if (matchIds && Array.isArray(matchIds)) {
-      CacheService.set(cacheKey, matchIds);
-      Logger.debug(`Cached match history batch: ${matchIds.length} matches`);
-    }
-    
     return matchIds;
   }
 
-  // Get all match IDs for a season (paginated)
-  // Fetches ranked games only (type=ranked)
-  // Fetches matches in batches of 100 until no more matches are found
-  // Uses caching to minimize API calls and smooth rate limiting
-  async getAllMatchHistoryForYear(puuid, season, userRegion = null) {
+  // Get all match IDs for a season (newest first)
+  // queue is a QueueFilters key - defaults to all ranked queues (type=ranked)
+  // Synced incrementally: the list is stored per PUUID/season/region/queue together with the start time of
+  // its newest match, and later calls only ask match-v5 for games from that time on (startTime/endTime) and
+  // merge them in. The first sync is bounded by the season's start and end, so pagination stops at the
+  // season start instead of walking years of older history.
+  async getAllMatchHistoryForYear(puuid, season, userRegion = null, queue = QueueFilters.defaultFilter) {
     if (!puuid || typeof puuid !== 'string' || puuid.trim().length === 0) {
       throw new Error('PUUID is required and must be a non-empty string');
     }
     
-    // IMPORTANT: Check cache FIRST - cached data bypasses rate limiting entirely
-    // Cached data returns immediately without any rate limit checks or API calls
-    const fullCacheKey = CacheService.generateKey('matchHistoryFull', puuid, season, userRegion || 'default', 'ranked');
-    const cachedFullHistory = CacheService.get(fullCacheKey, null, true); // Allow stale data
-    if (cachedFullHistory && Array.isArray(cachedFullHistory) && cachedFullHistory.length > 0) {
-      Logger.info(`Full match history cache HIT: ${cachedFullHistory.length} matches for season ${season} (bypassing rate limits)`);
-      // Return cached data immediately - no rate limiting applied
-      // Refresh in background if stale (doesn't block return)
-      if (this.isCacheStale(fullCacheKey)) {
-        Logger.debug('Cache is stale, refreshing in background...');
-        // Refresh in background (don't await) - this will use rate limiting when making API calls
-        this.refreshMatchHistoryInBackground(puuid, season, userRegion, fullCacheKey).catch(err => {
-          Logger.error('Background refresh failed:', err.message);
-        });
-      }
-      return cachedFullHistory;
+    const queueFilter = QueueFilters.getFilter(queue);
+    const syncKey = CacheService.generateKey('matchHistorySync', puuid, season, userRegion || 'default', queueFilter.key);
+    
+    // Lookups of the same player running at once share one sync
+    return CacheService.shareInFlight(syncKey, () => this.syncMatchHistory(puuid, season, userRegion, queueFilter, syncKey));
+  }
+  
+  // Sync body of getAllMatchHistoryForYear() - syncKey is where the list and its newest match time are stored
+  async syncMatchHistory(puuid, season, userRegion, queueFilter, syncKey) {
+    const seasonInfo = SeasonRegistry.getSeasonInfo(season);
+    const syncState = CacheService.get(syncKey, null, true);
+    const storedMatchIds = syncState && Array.isArray(syncState.matchIds) ? syncState.matchIds : [];
+    
+    // Synced after the season ended - no new games can show up, so no API calls at all
+    if (syncState && syncState.syncedAt > seasonInfo.seasonEnd + SEASON_END_GRACE_PERIOD) {
+      Logger.info(`Match history up to date: ${storedMatchIds.length} ${queueFilter.label} matches for season ${season} (season is over)`);
+      return storedMatchIds;
     }
     
-    const allMatchIds = [];
-    let start = 0;
-    const batchSize = 100; // Maximum allowed by Riot API (matches user requirement: count=100)
-    let hasMore = true;
-    let consecutiveEmptyBatches = 0;
-    const maxEmptyBatches = 2; // Stop after 2 consecutive empty batches
-    let cachedBatchesUsed = 0;
-    let apiCallsMade = 0;
+    // match-v5 time filters are in epoch seconds; the newest stored match is asked for again and deduplicated,
+    // so a game that was still running during the last sync is not missed
+    const seasonStartTime = Math.floor(seasonInfo.seasonStart / 1000);
+    const endTime = Math.floor(seasonInfo.seasonEnd / 1000);
+    const startTime = syncState && syncState.newestMatchTime
+      ? Math.max(Math.floor(syncState.newestMatchTime / 1000), seasonStartTime)
+      : seasonStartTime;
+    const syncedAt = Date.now();
     
-    Logger.info(`📊 Fetching ranked matches for Season ${season} (using cache)...`);
+    Logger.info(syncState
+      ? `📊 Syncing new ${queueFilter.label} matches for Season ${season} since ${new Date(startTime * 1000).toISOString()} (${storedMatchIds.length} stored)...`
+      : `📊 Fetching ${queueFilter.label} matches for Season ${season}...`);
     
-    while (hasMore) {
-      try {
-        // IMPORTANT: Check cache FIRST - cached data bypasses rate limiting entirely
-        // Cached data returns immediately without any rate limit checks or API calls
-        const batchCacheKey = CacheService.generateKey('matchHistoryBatch', puuid, start, batchSize, userRegion || 'default', 'ranked', 'all');
-        const cachedBatch = CacheService.get(batchCacheKey, null, true);
-        
-        if (cachedBatch && Array.isArray(cachedBatch) && cachedBatch.length > 0) {
-          // Use cached batch - no rate limiting applied, returns immediately
-          cachedBatchesUsed++;
-          allMatchIds.push(...cachedBatch);
-          Logger.debug(`Using cached batch: start=${start}, count=${cachedBatch.length} (total cached batches: ${cachedBatchesUsed}) - bypassing rate limits`);
-          
-          // If batch is smaller than batchSize, we've reached the end
-          if (cachedBatch.length < batchSize) {
-            Logger.info(`Reached end of matches (cached batch had ${cachedBatch.length} < ${batchSize} matches)`);
-            hasMore = false;
-            break;
-          }
-          
-          start += batchSize;
-          continue; // Continue to next batch immediately (no rate limit delay)
-        }
-        
-        // Cache miss - fetch from API (rate limiting applies only to actual API requests)
-        Logger.debug(`Fetching batch from API: start=${start}, count=${batchSize}...`);
-        apiCallsMade++;
-        const matchIds = await this.getMatchHistory(puuid, start, batchSize, userRegion, null);
-        
-        if (!matchIds || !Array.isArray(matchIds) || matchIds.length === 0) {
-          consecutiveEmptyBatches++;
-          Logger.debug(`Empty batch received (consecutive empty: ${consecutiveEmptyBatches})`);
-          
-          if (consecutiveEmptyBatches >= maxEmptyBatches) {
-            Logger.info(`No more matches found after ${consecutiveEmptyBatches} empty batches`);
-            hasMore = false;
-            break;
-          }
-          // Continue to next batch even if this one was empty
-          start += batchSize;
-          await new Promise(resolve => setTimeout(resolve, 100));
-          continue;
-        }
-        
-        // Reset empty batch counter if we got matches
-        consecutiveEmptyBatches = 0;
-        
-        allMatchIds.push(...matchIds);
-        Logger.debug(`Fetched ${matchIds.length} matches (total: ${allMatchIds.length}, start=${start}, API calls: ${apiCallsMade}, cached batches: ${cachedBatchesUsed})`);
-        
-        // Always increment start for next batch
-        start += batchSize;
-        
-        // If we got less than batchSize, we might have reached the end
-        // But still check next batch to be absolutely sure
-        if (matchIds.length < batchSize) {
-          Logger.debug(`Received ${matchIds.length} < ${batchSize} matches. Checking next batch to confirm end...`);
-          // Wait a bit before checking next batch
-          await new Promise(resolve => setTimeout(resolve, 200));
-        } else {
-          // Got full batch, continue fetching
-          // Add a small delay between batches to respect rate limits
-          await new Promise(resolve => setTimeout(resolve, 50));
-        }
-        
-      } catch (error) {
-        Logger.error(`Error fetching matches at start=${start}:`, error.message);
-        // If it's a rate limit error, wait and retry
-        if (error.response?.status === 429) {
-          const retryAfter = parseInt(error.response.headers['retry-after'] || '2', 10);
-          Logger.warn(`Rate limited. Waiting ${retryAfter} seconds before retry...`);
-          await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-          // Retry the same batch (don't increment start)
-          continue;
-        }
-        // For other errors, try to continue with next batch
-        Logger.warn(`Continuing to next batch despite error...`);
-        start += batchSize;
-        consecutiveEmptyBatches++;
-        if (consecutiveEmptyBatches >= maxEmptyBatches) {
-          Logger.warn(`Too many consecutive errors, stopping pagination`);
-          hasMore = false;
-        } else {
-          await new Promise(resolve => setTimeout(resolve, 200));
-        }
+    let fetchedMatchIds;
+    try {
+      fetchedMatchIds = await this.fetchMatchIdsInRange(puuid, userRegion, queueFilter.key, { startTime, endTime });
+    } catch (error) {
+      // Keep serving the stored list if the sync fails - it is only missing the newest games
+      if (syncState) {
+        Logger.warn(`Match history sync failed, using ${storedMatchIds.length} stored matches:`, error.message);
+        return storedMatchIds;
       }
+      throw error;
     }
     
-    // Cache the full match history for future requests
-    if (allMatchIds.length > 0) {
-      CacheService.set(fullCacheKey, allMatchIds);
-      Logger.info(`Cached full match history: ${allMatchIds.length} matches for season ${season}`);
-    }
+    const storedIds = new Set(storedMatchIds);
+    const newMatchIds = [...new Set(fetchedMatchIds)].filter(matchId => !storedIds.has(matchId));
+    const matchIds = [...newMatchIds, ...storedMatchIds];
+    
+    CacheService.set(syncKey, {
+      matchIds,
+      newestMatchId: matchIds[0] || null,
+      newestMatchTime: await this.getNewestMatchTime(matchIds[0], syncState, userRegion),
+      syncedAt
+    });
     
-    Logger.success(`Total match IDs fetched: ${allMatchIds.length} (API calls: ${apiCallsMade}, cached batches: ${cachedBatchesUsed})`);
-    return allMatchIds;
+    Logger.success(`Total match IDs: ${matchIds.length} (${newMatchIds.length} new since the last sync)`);
+    return matchIds;
   }
   
-  // Check if cache is stale (for stale-while-revalidate)
-  isCacheStale(key) {
-    // This is a simplified check - in production, you'd check the actual cache entry age
-    return false; // For now, we'll let CacheService handle stale detection
+  // Page through match-v5 match IDs between startTime and endTime (epoch seconds)
+  // Filters with several queries (Arena: one per queueId) get one ranged request each, merged newest first
+  async fetchMatchIdsInRange(puuid, userRegion, queue, { startTime, endTime }) {
+    if (!Number.isFinite(startTime) || !Number.isFinite(endTime)) {
+      throw new Error('startTime and endTime are required to page through match history');
+    }
+    
+    const { apiQueries } = QueueFilters.getFilter(queue);
+    const batchSize = 100; // Maximum allowed by Riot API
+    const matchIds = [];
+    
+    for (const apiQuery of apiQueries) {
+      let start = 0;
+      
+      while (true) {
+        const batch = await this.getMatchHistory(puuid, start, batchSize, userRegion, queue, { startTime, endTime, apiQuery });
+        matchIds.push(...batch);
+        Logger.debug(`Fetched ${batch.length} match IDs (total: ${matchIds.length}, start=${start})`, apiQuery);
+        
+        // A short page is the last one - the time range already stops at the season start
+        if (batch.length < batchSize) break;
+        start += batchSize;
+      }
+    }
+    
+    return apiQueries.length > 1 ? sortMatchIdsNewestFirst(matchIds) : matchIds;
   }
   
-  // Refresh match history in background (stale-while-revalidate pattern)
-  async refreshMatchHistoryInBackground(puuid, season, userRegion, cacheKey) {
+  // Start time (ms) of the newest match in a synced list, the lower bound of the next sync
+  // Reuses the stored value when the newest match hasn't changed; otherwise reads the match (cached, and
+  // the rewind needs it anyway). Returns null if unknown, so the next sync starts at the season start again.
+  async getNewestMatchTime(newestMatchId, syncState, userRegion) {
+    if (!newestMatchId) return null;
+    if (syncState && syncState.newestMatchId === newestMatchId && syncState.newestMatchTime) {
+      return syncState.newestMatchTime;
+    }
+    
     try {
-      Logger.debug('Background refresh: Fetching fresh match history...');
-      // Fetch fresh data (this will update the cache)
-      await this.getAllMatchHistoryForYear(puuid, season, userRegion);
-      Logger.debug('Background refresh: Match history updated');
+      const matchDetails = await this.getMatchDetails(newestMatchId, userRegion);
+      return matchDetails?.info?.gameCreation || matchDetails?.info?.gameStartTimestamp || null;
     } catch (error) {
-      Logger.error('Background refresh failed:', error.message);
+      Logger.warn(`Could not read the newest match ${newestMatchId} for the next sync:`, error.message);
+      return null;
     }
   }
 
@@ -1117,26 +1258,113 @@ class RiotAPIService {
     return matchDetails;
   }
 
-  // Get league entries for summoner
-  // Uses PLATFORM routing value (v4 API)
-  async getLeagueEntries(summonerId) {
-    if (!summonerId || typeof summonerId !== 'string' || summonerId.trim().length === 0) {
-      throw new Error('Summoner ID is required and must be a non-empty string');
+  // Get match details for many matches at once (e.g. a whole season)
+  // Cached matches are returned straight away without taking a queue slot; the rest are fetched
+  // concurrently - as many at once as the rate limits allow right now (at least one, at most
+  // maxConcurrentRequests), each still passing the rate limiter
+  // Returns [{ matchId, matchDetails, error }] in the same order as matchIds - a failed match has error set
+  // instead of failing the whole batch
+  // onProgress(completedCount, totalCount, { matchId, cached, error }) is awaited after every match
+  async getMatchDetailsBatch(matchIds, userRegion = null, { onProgress = null } = {}) {
+    const results = new Array(matchIds.length);
+    const uncached = [];
+    let completedCount = 0;
+    
+    const complete = async (index, matchDetails, error, cached) => {
+      results[index] = { matchId: matchIds[index], matchDetails, error };
+      completedCount++;
+      if (onProgress) {
+        await onProgress(completedCount, matchIds.length, { matchId: matchIds[index], cached, error });
+      }
+    };
+    
+    for (const [index, matchId] of matchIds.entries()) {
+      const cachedMatch = typeof matchId === 'string'
+        ? CacheService.get(CacheService.generateKey('matchDetails', matchId, userRegion || 'default'))
+        : null;
+      if (cachedMatch) {
+        APIMonitor.recordRequest('cache', 'matchDetails', 200, true, 0);
+        await complete(index, cachedMatch, null, true);
+      } else {
+        uncached.push(index);
+      }
     }
     
-    const endpoint = `/league/v4/entries/by-summoner/${encodeURIComponent(summonerId)}`;
-    return this.makeRequest(endpoint, {}, false);
+    // Each worker takes the next uncached match as soon as its previous request finishes
+    let nextIndex = 0;
+    const worker = async () => {
+      while (nextIndex < uncached.length) {
+        const index = uncached[nextIndex++];
+        let matchDetails = null;
+        let fetchError = null;
+        try {
+          matchDetails = await this.getMatchDetails(matchIds[index], userRegion);
+        } catch (error) {
+          fetchError = error;
+        }
+        await complete(index, matchDetails, fetchError, false);
+      }
+    };
+    
+    const capacity = uncached.length > 0
+      ? this.getRequestCapacity(`/match/v5/matches/${encodeURIComponent(matchIds[uncached[0]])}`, true, false, userRegion)
+      : 0;
+    const workerCount = Math.min(this.maxConcurrentRequests, uncached.length, Math.max(1, capacity));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    
+    Logger.debug(`Match details batch: ${matchIds.length - uncached.length} cached, ${uncached.length} fetched`);
+    return results;
   }
 
-  // Get champion mastery
+  // Get league entries (Solo/Duo, Flex) for a player
   // Uses PLATFORM routing value (v4 API)
-  async getChampionMastery(summonerId) {
-    if (!summonerId || typeof summonerId !== 'string' || summonerId.trim().length === 0) {
-      throw new Error('Summoner ID is required and must be a non-empty string');
+  // Keyed by PUUID - the encrypted summonerId endpoint is deprecated
+  // See: https://developer.riotgames.com/apis#league-v4/GET_getLeagueEntriesByPUUID
+  // NOTE: Not cached - rank changes after every game and callers snapshot it themselves
+  async getLeagueEntries(puuid, userRegion = null) {
+    if (!puuid || typeof puuid !== 'string' || puuid.trim().length === 0) {
+      throw new Error('PUUID is required and must be a non-empty string');
     }
-    
-    const endpoint = `/champion-mastery/v4/champion-masteries/by-summoner/${encodeURIComponent(summonerId)}`;
-    return this.makeRequest(endpoint, { count: 10 }, false); // Top 10 champions
+
+    const endpoint = `/league/v4/entries/by-puuid/${encodeURIComponent(puuid)}`;
+    const entries = await this.makeRequest(endpoint, {}, false, false, userRegion);
+
+    // Validate response is an array of league entries
+    if (!Array.isArray(entries)) {
+      Logger.error('Invalid response format: Expected array of league entries, got:', typeof entries);
+      throw new Error('Invalid API response: Expected array of league entries');
+    }
+
+    return entries;
+  }
+
+  // Get champion mastery for a player
+  // Uses PLATFORM routing value (v4 API)
+  // Returns ALL champion masteries, or only the top N when count is provided
+  // See: https://developer.riotgames.com/apis#champion-mastery-v4/GET_getAllChampionMasteriesByPUUID
+  // See: https://developer.riotgames.com/apis#champion-mastery-v4/GET_getTopChampionMasteriesByPUUID
+  // NOTE: Not cached - mastery changes after every game and callers snapshot it themselves
+  async getChampionMastery(puuid, userRegion = null, count = null) {
+    if (!puuid || typeof puuid !== 'string' || puuid.trim().length === 0) {
+      throw new Error('PUUID is required and must be a non-empty string');
+    }
+
+    if (count !== null && (!Number.isInteger(count) || count <= 0)) {
+      throw new Error('Invalid count parameter');
+    }
+
+    const basePath = `/champion-mastery/v4/champion-masteries/by-puuid/${encodeURIComponent(puuid)}`;
+    const endpoint = count !== null ? `${basePath}/top` : basePath;
+    const params = count !== null ? { count } : {};
+    const masteries = await this.makeRequest(endpoint, params, false, false, userRegion);
+
+    // Validate response is an array of champion masteries
+    if (!Array.isArray(masteries)) {
+      Logger.error('Invalid response format: Expected array of champion masteries, got:', typeof masteries);
+      throw new Error('Invalid API response: Expected array of champion masteries');
+    }
+
+    return masteries;
   }
 }
 
@@ -123,6 +123,37 @@ class APIKeyManager {
     return key;
   }
 
+  // All keys that can be used right now, in round-robin order (the request queue picks the first one
+  // with rate limit budget left, see RiotAPIService.takeNextRequest())
+  getAvailableAPIKeys() {
+    let enabledKeys = this.apiKeys.filter(k => k.enabled && k.key && k.key.trim().length > 0);
+    
+    if (enabledKeys.length === 0) {
+      // Same recovery as getNextAPIKey(): re-enable valid keys if all are disabled
+      Logger.warn('All API keys disabled, attempting to re-enable valid keys');
+      this.apiKeys.forEach(k => {
+        if (k.key && k.key.trim().length > 0) {
+          k.enabled = true;
+          k.errorCount = 0;
+        }
+      });
+      enabledKeys = this.apiKeys.filter(k => k.enabled && k.key && k.key.trim().length > 0);
+    }
+    
+    const start = this.currentKeyIndex % Math.max(1, enabledKeys.length);
+    return [...enabledKeys.slice(start), ...enabledKeys.slice(0, start)];
+  }
+
+  // Record that a key from getAvailableAPIKeys() was used for a request
+  recordUse(keyId) {
+    const key = this.apiKeys.find(k => k.id === keyId);
+    if (!key) return;
+    
+    this.currentKeyIndex++;
+    key.lastUsed = Date.now();
+    key.requestCount++;
+  }
+
   // Mark API key as having an error
   recordError(keyId, errorCode) {
     const key = this.apiKeys.find(k => k.id === keyId);
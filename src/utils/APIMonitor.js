@@ -236,23 +236,6 @@ class APIMonitor {
     }
   }
 
-  // Check if we can make a request (rate limiting check)
-  canMakeRequest(apiKeyId = 'default') {
-    const buckets = this.getTimeBuckets();
-    const minuteStats = this.stats.minuteStats[buckets.minute] || { requests: 0 };
-    
-    // Check per-minute limit
-    if (minuteStats.requests >= this.limits.requestsPerMinute) {
-      return {
-        allowed: false,
-        reason: 'rate_limit_per_minute',
-        retryAfter: 60 - moment().seconds() // Seconds until next minute
-      };
-    }
-    
-    return { allowed: true };
-  }
-  
   // Record cache hit (for CacheService integration)
   recordCacheHit() {
     this.stats.totalCacheHits++;
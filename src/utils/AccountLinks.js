@@ -0,0 +1,78 @@
+// src/utils/AccountLinks.js
+const Logger = require('./Logger');
+const fs = require('fs');
+const path = require('path');
+
+// Discord users' linked Riot accounts (/link), persisted to data/account_links.json
+// { [discordUserId]: { puuid, region, riotId, linkedAt } }
+// Links are keyed on the PUUID, which never changes; riotId is the last known name, used for display
+// and refreshed whenever the account is looked up.
+class AccountLinks {
+  constructor() {
+    this.linksFile = path.join(process.cwd(), 'data', 'account_links.json');
+    this.links = this.loadLinks();
+  }
+
+  loadLinks() {
+    try {
+      if (fs.existsSync(this.linksFile)) {
+        return JSON.parse(fs.readFileSync(this.linksFile, 'utf8'));
+      }
+    } catch (error) {
+      Logger.error('Error loading account links:', error.message);
+    }
+    return {};
+  }
+
+  saveLinks() {
+    try {
+      const linksDir = path.dirname(this.linksFile);
+      if (!fs.existsSync(linksDir)) {
+        fs.mkdirSync(linksDir, { recursive: true });
+      }
+      fs.writeFileSync(this.linksFile, JSON.stringify(this.links, null, 2), 'utf8');
+    } catch (error) {
+      Logger.error('Error saving account links:', error.message);
+    }
+  }
+
+  // Linked account of a Discord user (null if not linked)
+  get(userId) {
+    return (userId && this.links[userId]) || null;
+  }
+
+  // Link a Discord user to a Riot account (replaces any previous link)
+  set(userId, { puuid, region = null, riotId }) {
+    if (!userId || !puuid) {
+      throw new Error('Discord user ID and PUUID are required to link an account');
+    }
+
+    this.links[userId] = { puuid, region, riotId, linkedAt: Date.now() };
+    this.saveLinks();
+    Logger.info(`Linked Discord user ${userId} to ${riotId} (PUUID: ${puuid.substring(0, 8)}...)`);
+    return this.links[userId];
+  }
+
+  // Remember a linked account's new Riot ID after a rename
+  updateRiotId(userId, riotId) {
+    const link = this.get(userId);
+    if (!link || !riotId || link.riotId === riotId) return;
+
+    Logger.info(`Linked account of ${userId} renamed: ${link.riotId} -> ${riotId}`);
+    link.riotId = riotId;
+    this.saveLinks();
+  }
+
+  // Remove a user's link; returns the removed link (null if there was none)
+  remove(userId) {
+    const link = this.get(userId);
+    if (!link) return null;
+
+    delete this.links[userId];
+    this.saveLinks();
+    Logger.info(`Unlinked Discord user ${userId} from ${link.riotId}`);
+    return link;
+  }
+}
+
+module.exports = new AccountLinks();
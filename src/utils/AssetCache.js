@@ -0,0 +1,67 @@
+// src/utils/AssetCache.js
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const ChampionNames = require('./ChampionNames');
+const Logger = require('./Logger');
+
+// Local cache for Data Dragon images (champion icons) used by rendered cards and charts
+// Icons are stored by champion ID so rendering never depends on the network once cached:
+//   data/assets/champion/{championId}.png
+// Missing icons are downloaded once from Data Dragon (needs ChampionNames.initialize() for the version
+// and file name); if that fails the caller gets null and renders a placeholder instead.
+class AssetCache {
+  constructor() {
+    this.assetsDir = path.join(process.cwd(), 'data', 'assets');
+    this.ddragonBaseUrl = 'https://ddragon.leagueoflegends.com/cdn';
+  }
+
+  getChampionIconPath(championId) {
+    return path.join(this.assetsDir, 'champion', `${parseInt(championId, 10)}.png`);
+  }
+
+  // Get a champion's square icon as a PNG buffer (null if unavailable)
+  async getChampionIcon(championId) {
+    const iconPath = this.getChampionIconPath(championId);
+
+    try {
+      if (fs.existsSync(iconPath)) {
+        return fs.readFileSync(iconPath);
+      }
+    } catch (error) {
+      Logger.error(`Error reading cached icon for champion ${championId}:`, error.message);
+      return null;
+    }
+
+    const imageFile = ChampionNames.getImageFile(championId);
+    if (!ChampionNames.version || !imageFile) {
+      Logger.debug(`No Data Dragon image for champion ${championId}, using placeholder`);
+      return null;
+    }
+
+    try {
+      const url = `${this.ddragonBaseUrl}/${ChampionNames.version}/img/champion/${imageFile}`;
+      const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 10000 });
+      const icon = Buffer.from(response.data);
+
+      fs.mkdirSync(path.dirname(iconPath), { recursive: true });
+      fs.writeFileSync(iconPath, icon);
+      Logger.debug(`Cached icon for champion ${championId} (${imageFile})`);
+      return icon;
+    } catch (error) {
+      Logger.warn(`Could not download icon for champion ${championId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Get icons for several champions, keyed by champion ID
+  async getChampionIcons(championIds) {
+    const icons = {};
+    for (const championId of championIds) {
+      icons[championId] = await this.getChampionIcon(championId);
+    }
+    return icons;
+  }
+}
+
+module.exports = new AssetCache();
@@ -0,0 +1,36 @@
+// src/utils/Autocomplete.js
+const AccountLinks = require('./AccountLinks');
+const RecentLookups = require('./RecentLookups');
+const I18n = require('./I18n');
+
+// Discord shows at most 25 suggestions, with names and values up to 100 characters
+const MAX_CHOICES = 25;
+const MAX_LENGTH = 100;
+
+// Suggestions for Riot ID options, answered from data already on hand
+// (autocomplete has to respond within 3 seconds, so nothing here calls the Riot API)
+class Autocomplete {
+  // riot_id suggestions: the caller's linked account first, then their recent lookups
+  riotIdChoices(interaction) {
+    const t = I18n.forInteraction(interaction);
+    const query = interaction.options.getFocused().trim().toLowerCase();
+    const link = AccountLinks.get(interaction.user.id);
+
+    const choices = [];
+    if (link && link.riotId) {
+      choices.push({ name: t('interaction.autocomplete.linked', { riotId: link.riotId }), value: link.riotId });
+    }
+    for (const lookup of RecentLookups.get(interaction.user.id)) {
+      if (!choices.some(choice => choice.value.toLowerCase() === lookup.riotId.toLowerCase())) {
+        choices.push({ name: t('interaction.autocomplete.recent', { riotId: lookup.riotId }), value: lookup.riotId });
+      }
+    }
+
+    return choices
+      .filter(choice => !query || choice.value.toLowerCase().includes(query))
+      .slice(0, MAX_CHOICES)
+      .map(choice => ({ name: choice.name.substring(0, MAX_LENGTH), value: choice.value.substring(0, MAX_LENGTH) }));
+  }
+}
+
+module.exports = new Autocomplete();
@@ -15,6 +15,9 @@ class CacheService {
     this.memoryCache = new Map();
     this.memoryCacheMaxSize = 1000; // Max entries in memory cache
     
+    // Fetches still in progress, shared between identical concurrent callers (see shareInFlight())
+    this.inFlight = new Map();
+    
     // IMPORTANT: Cache is PERMANENTLY stored locally to avoid rate limiting
     // Disk cache never expires - data is stored indefinitely
     // Only memory cache has TTL for performance optimization
@@ -26,8 +29,7 @@ class CacheService {
       matchHistoryBatch: 3 * 60 * 60 * 1000, // 3 hours in memory
       matchDetails: 24 * 60 * 60 * 1000,  // 24 hours in memory
       summoner: 1 * 60 * 60 * 1000,        // 1 hour in memory
-      account: 2 * 60 * 60 * 1000,         // 2 hours in memory
-      matchHistoryFull: 4 * 60 * 60 * 1000  // 4 hours in memory
+      account: 2 * 60 * 60 * 1000          // 2 hours in memory
     };
     
     // Cleanup intervals (only for memory cache - disk cache is permanent)
@@ -136,7 +138,6 @@ class CacheService {
   getMemoryTTLForKey(key) {
     if (key.startsWith('matchIds_')) return this.memoryCacheTTL.matchIds;
     if (key.startsWith('matchHistoryBatch_')) return this.memoryCacheTTL.matchHistoryBatch;
-    if (key.startsWith('matchHistoryFull_')) return this.memoryCacheTTL.matchHistoryFull;
     if (key.startsWith('matchDetails_')) return this.memoryCacheTTL.matchDetails;
     if (key.startsWith('summoner_')) return this.memoryCacheTTL.summoner;
     if (key.startsWith('account_')) return this.memoryCacheTTL.account;
@@ -146,7 +147,6 @@ class CacheService {
   // Get key type from key prefix
   getKeyType(key) {
     if (key.startsWith('matchIds_') || key.startsWith('matchHistoryBatch_')) return 'matchHistoryBatch';
-    if (key.startsWith('matchHistoryFull_')) return 'matchHistoryFull';
     if (key.startsWith('matchDetails_')) return 'matchDetails';
     if (key.startsWith('summoner_')) return 'summoner';
     if (key.startsWith('account_')) return 'account';
@@ -220,6 +220,21 @@ class CacheService {
     return successCount;
   }
 
+  // Share one in-flight fetch between identical concurrent callers
+  // The first caller for a key runs fetchFn; callers arriving before it settles get the same promise (and
+  // the same result or error). Nothing is kept once it settles - store results with set() as usual.
+  shareInFlight(key, fetchFn) {
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      Logger.debug(`Joining in-flight request: ${key}`);
+      return pending;
+    }
+    
+    const promise = (async () => fetchFn())().finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
   // Delete cached data (from both memory and disk)
   delete(key) {
     try {
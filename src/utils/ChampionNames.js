@@ -3,7 +3,10 @@ const axios = require('axios');
 
 class ChampionNames {
   constructor() {
-    this.championMap = {};
+    this.championMap = {}; // Champion ID -> English (en_US) name, also the fallback for other locales
+    this.localizedMaps = {}; // Data Dragon locale (e.g. "vi_VN") -> { champion ID -> name }
+    this.championImages = {}; // Champion ID -> Data Dragon square icon file (e.g. "MonkeyKing.png")
+    this.defaultLocale = 'en_US';
     this.version = null;
     this.initialized = false;
   }
@@ -27,11 +30,15 @@ class ChampionNames {
       
       const champions = championsResponse.data.data;
       this.championMap = {};
+      this.championImages = {};
       
       for (const championKey in champions) {
         const champion = champions[championKey];
         // Map champion ID (key) to champion name
         this.championMap[champion.key] = champion.name;
+        if (champion.image && champion.image.full) {
+          this.championImages[champion.key] = champion.image.full;
+        }
       }
       
       this.initialized = true;
@@ -45,6 +52,31 @@ class ChampionNames {
     }
   }
 
+  // Load champion names for another Data Dragon locale (e.g. "vi_VN", "th_TH")
+  // Names stay English for that locale if the download fails; it is retried on the next call
+  async loadLocale(locale) {
+    await this.initialize();
+    if (!locale || locale === this.defaultLocale || this.localizedMaps[locale] || !this.version) return;
+    
+    try {
+      const championsResponse = await axios.get(
+        `https://ddragon.leagueoflegends.com/cdn/${this.version}/data/${locale}/champion.json`,
+        { timeout: 10000 }
+      );
+      
+      const champions = championsResponse.data.data;
+      const names = {};
+      for (const championKey in champions) {
+        names[champions[championKey].key] = champions[championKey].name;
+      }
+      
+      this.localizedMaps[locale] = names;
+      console.log(`✅ Champion names loaded for ${locale} (${Object.keys(names).length} champions)`);
+    } catch (error) {
+      console.error(`⚠️  Failed to load ${locale} champion names from Data Dragon:`, error.message);
+    }
+  }
+
   // Fallback champion names (basic mapping)
   loadFallbackNames() {
     // This is a basic fallback - Data Dragon is preferred
@@ -87,20 +119,26 @@ class ChampionNames {
     this.championMap = basicChampions;
   }
 
-  // Get champion name by ID
-  getName(championId) {
+  // Get champion name by ID (locale: Data Dragon locale loaded with loadLocale(), English otherwise)
+  getName(championId, locale = this.defaultLocale) {
     if (!this.initialized) {
       this.loadFallbackNames();
       this.initialized = true;
     }
     
     const id = championId.toString();
-    return this.championMap[id] || `Champion ${championId}`;
+    const localized = this.localizedMaps[locale];
+    return (localized && localized[id]) || this.championMap[id] || `Champion ${championId}`;
+  }
+
+  // Get the Data Dragon icon file name for a champion (null when Data Dragon could not be loaded)
+  getImageFile(championId) {
+    return this.championImages[championId.toString()] || null;
   }
 
   // Get multiple champion names
-  getNames(championIds) {
-    return championIds.map(id => this.getName(id));
+  getNames(championIds, locale = this.defaultLocale) {
+    return championIds.map(id => this.getName(id, locale));
   }
 }
 
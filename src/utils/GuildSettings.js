@@ -0,0 +1,61 @@
+// src/utils/GuildSettings.js
+const Logger = require('./Logger');
+const fs = require('fs');
+const path = require('path');
+
+// Per-guild bot settings, persisted to data/guild_settings.json
+// { [guildId]: { sharing: 'enabled' | 'channel' | 'disabled', shareChannelId, locale } }
+// Guilds without an entry use the defaults.
+class GuildSettings {
+  constructor() {
+    this.settingsFile = path.join(process.cwd(), 'data', 'guild_settings.json');
+    this.defaults = {
+      sharing: 'enabled',       // 'enabled' = share anywhere, 'channel' = only in shareChannelId, 'disabled' = no public posts
+      shareChannelId: null,
+      locale: null              // Language for bot messages (see I18n); null = each user's Discord language
+    };
+    this.settings = this.loadSettings();
+  }
+
+  loadSettings() {
+    try {
+      if (fs.existsSync(this.settingsFile)) {
+        return JSON.parse(fs.readFileSync(this.settingsFile, 'utf8'));
+      }
+    } catch (error) {
+      Logger.error('Error loading guild settings:', error.message);
+    }
+    return {};
+  }
+
+  saveSettings() {
+    try {
+      const settingsDir = path.dirname(this.settingsFile);
+      if (!fs.existsSync(settingsDir)) {
+        fs.mkdirSync(settingsDir, { recursive: true });
+      }
+      fs.writeFileSync(this.settingsFile, JSON.stringify(this.settings, null, 2), 'utf8');
+    } catch (error) {
+      Logger.error('Error saving guild settings:', error.message);
+    }
+  }
+
+  // Get the effective settings for a guild (defaults for DMs / unknown guilds)
+  get(guildId) {
+    return { ...this.defaults, ...(guildId ? this.settings[guildId] : null) };
+  }
+
+  // Update settings for a guild and persist them
+  update(guildId, changes) {
+    if (!guildId) {
+      throw new Error('Guild ID is required to update guild settings');
+    }
+
+    this.settings[guildId] = { ...this.settings[guildId], ...changes };
+    this.saveSettings();
+    Logger.info(`Updated settings for guild ${guildId}:`, changes);
+    return this.get(guildId);
+  }
+}
+
+module.exports = new GuildSettings();
@@ -0,0 +1,104 @@
+// src/utils/I18n.js
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const GuildSettings = require('./GuildSettings');
+const Logger = require('./Logger');
+
+// Translations for user-facing bot messages
+// Every src/locales/{code}.json file is a language: a "meta" block (display name, Data Dragon locale,
+// matching Discord client locales, date formats) plus nested message strings with {placeholder}
+// parameters. Missing keys fall back to English.
+// The locale of an interaction is the server override (/rewindsettings language) when set,
+// otherwise the user's Discord client language. Discord has no Filipino client language,
+// so Filipino is only reachable through the server override.
+class I18n {
+  constructor() {
+    this.localesDir = path.join(__dirname, '..', 'locales');
+    this.defaultLocale = 'en';
+    this.locales = this.loadLocales();
+  }
+
+  loadLocales() {
+    const locales = {};
+    for (const file of fs.readdirSync(this.localesDir).filter(file => file.endsWith('.json'))) {
+      const code = path.basename(file, '.json');
+      try {
+        locales[code] = JSON.parse(fs.readFileSync(path.join(this.localesDir, file), 'utf8'));
+      } catch (error) {
+        Logger.error(`Error loading locale file ${file}:`, error.message);
+      }
+    }
+    return locales;
+  }
+
+  isSupported(locale) {
+    return Object.prototype.hasOwnProperty.call(this.locales, locale);
+  }
+
+  // Supported languages as slash command choices ({ name, value })
+  getChoices() {
+    return Object.entries(this.locales).map(([code, strings]) => ({ name: strings.meta.name, value: code }));
+  }
+
+  // Map a Discord client locale (e.g. "en-US", "vi", "th") to a supported locale
+  resolveDiscordLocale(discordLocale) {
+    if (!discordLocale) return this.defaultLocale;
+
+    for (const [code, strings] of Object.entries(this.locales)) {
+      if ((strings.meta.discord || []).includes(discordLocale)) return code;
+    }
+    const language = discordLocale.split('-')[0];
+    return this.isSupported(language) ? language : this.defaultLocale;
+  }
+
+  // Locale for an interaction (server override first, then the user's Discord language)
+  getLocale(interaction) {
+    const override = interaction.guildId ? GuildSettings.get(interaction.guildId).locale : null;
+    if (override && this.isSupported(override)) {
+      return override;
+    }
+    return this.resolveDiscordLocale(interaction.locale);
+  }
+
+  // Data Dragon locale for champion names (e.g. "vi_VN")
+  getDataDragonLocale(locale) {
+    return this.lookup(locale, 'meta.dataDragon') || 'en_US';
+  }
+
+  lookup(locale, key) {
+    const resolve = strings => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), strings);
+    const value = this.isSupported(locale) ? resolve(this.locales[locale]) : undefined;
+    return value !== undefined ? value : resolve(this.locales[this.defaultLocale]);
+  }
+
+  // Translate a key such as "lolstats.errors.invalidRiotId"
+  // Strings get their {placeholders} replaced from params; lists (month names etc.) are returned as-is
+  t(locale, key, params = {}) {
+    const value = this.lookup(locale, key);
+    if (value === undefined) {
+      Logger.warn(`Missing translation for "${key}"`);
+      return key;
+    }
+    if (typeof value !== 'string') return value;
+
+    return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  }
+
+  // Translator bound to one locale: t(key, params), with t.locale and t.date(timestamp, [formatKey])
+  getTranslator(locale) {
+    const resolved = this.isSupported(locale) ? locale : this.defaultLocale;
+    const t = (key, params) => this.t(resolved, key, params);
+    t.locale = resolved;
+    t.date = (timestamp, formatKey = 'meta.dateFormat') =>
+      moment(timestamp).locale(this.lookup(resolved, 'meta.moment') || 'en').format(this.lookup(resolved, formatKey));
+    return t;
+  }
+
+  // Translator for an interaction
+  forInteraction(interaction) {
+    return this.getTranslator(this.getLocale(interaction));
+  }
+}
+
+module.exports = new I18n();
@@ -0,0 +1,76 @@
+// src/utils/QueueFilters.js
+
+// Queue filters for the /lolstats `queue` option
+// - apiQueries: filters sent to match-v5 /ids (type and/or queue), one ranged request each. {} = no server-side filter
+// - queueIds: queueIds kept after fetching match details (null = keep everything)
+// Arena has more than one queueId, and match-v5 only accepts a single `queue` param,
+// so its IDs are fetched once per queue and merged; the queueIds check on match details stays as a safety net
+// See: https://static.developer.riotgames.com/docs/lol/queues.json
+class QueueFilters {
+  constructor() {
+    this.defaultFilter = 'ranked';
+
+    this.filters = {
+      ranked: { label: 'All Ranked', apiQueries: [{ type: 'ranked' }], queueIds: [420, 440] },
+      ranked_solo: { label: 'Ranked Solo/Duo', apiQueries: [{ queue: 420 }], queueIds: [420] },
+      ranked_flex: { label: 'Ranked Flex', apiQueries: [{ queue: 440 }], queueIds: [440] },
+      normal_draft: { label: 'Normal Draft', apiQueries: [{ queue: 400 }], queueIds: [400] },
+      aram: { label: 'ARAM', apiQueries: [{ queue: 450 }], queueIds: [450] },
+      arena: { label: 'Arena', apiQueries: [{ queue: 1700 }, { queue: 1710 }], queueIds: [1700, 1710] },
+      all: { label: 'All Queues', apiQueries: [{}], queueIds: null }
+    };
+
+    // Display names for individual queueIds (used in the per-queue breakdown)
+    // Labels here stay English (slash command choices, card and chart images); messages use the
+    // translated common.queueFilters / common.queueNames locale keys
+    this.queueNames = {
+      400: 'Normal Draft',
+      420: 'Ranked Solo/Duo',
+      430: 'Normal Blind',
+      440: 'Ranked Flex',
+      450: 'ARAM',
+      480: 'Swiftplay',
+      490: 'Quickplay',
+      700: 'Clash',
+      720: 'ARAM Clash',
+      900: 'ARURF',
+      1020: 'One for All',
+      1300: 'Nexus Blitz',
+      1700: 'Arena',
+      1710: 'Arena',
+      1900: 'URF'
+    };
+  }
+
+  // Get a queue filter by key (falls back to the default filter for unknown keys)
+  getFilter(key) {
+    const filterKey = key && this.filters[key] ? key : this.defaultFilter;
+    return { key: filterKey, ...this.filters[filterKey] };
+  }
+
+  // Check if a match queueId passes a filter
+  matchesFilter(filter, queueId) {
+    return !filter.queueIds || filter.queueIds.includes(queueId);
+  }
+
+  // Translated label of a queue filter for messages
+  getLabel(t, key) {
+    const filter = this.getFilter(key);
+    return t('common.queueFilters')[filter.key] || filter.label;
+  }
+
+  // Get display name for a queueId (translated when a translator is passed)
+  getQueueName(queueId, t = null) {
+    if (t) {
+      return t('common.queueNames')[queueId] || this.queueNames[queueId] || t('common.unknownQueue', { queueId });
+    }
+    return this.queueNames[queueId] || `Queue ${queueId}`;
+  }
+
+  // Choices for the slash command option
+  getChoices() {
+    return Object.entries(this.filters).map(([value, filter]) => ({ name: filter.label, value }));
+  }
+}
+
+module.exports = new QueueFilters();
@@ -0,0 +1,189 @@
+// src/utils/RateLimiter.js
+const Logger = require('./Logger');
+
+// Application limits assumed until Riot's headers say otherwise (development key defaults)
+const DEFAULT_APP_LIMITS = '20:1,100:120';
+
+// Pause after a 429 without a Retry-After header (service limits don't always send one)
+const DEFAULT_RETRY_AFTER = 1;
+
+// Riot API rate limiting driven by the X-App-Rate-Limit and X-Method-Rate-Limit response headers
+// Riot counts application limits per API key and routing value (na1, euw1, americas, sea...), and method
+// limits per API key, routing value and endpoint - each gets its own bucket here, so requests to one
+// region never wait for another region's budget.
+// See: https://developer.riotgames.com/docs/portal#web-apis_rate-limiting
+//
+// Bucket: { windows: [{ count, seconds, timestamps }], blockedUntil }
+// windows: one per limit in the header ("20:1,100:120" = 20 per second and 100 per 2 minutes)
+// blockedUntil: set from Retry-After when Riot answers 429
+class RateLimiter {
+  constructor() {
+    this.appBuckets = new Map(); // "apiKeyId:routing" -> bucket
+    this.methodBuckets = new Map(); // "apiKeyId:routing:method" -> bucket
+  }
+
+  // "20:1,100:120" -> [{ count: 20, seconds: 1 }, { count: 100, seconds: 120 }]
+  // Also reads the *-Count headers, which use the same format
+  parseLimits(header) {
+    if (!header) return [];
+    return String(header).split(',')
+      .map(part => {
+        const [count, seconds] = part.trim().split(':').map(Number);
+        return { count, seconds };
+      })
+      .filter(limit => Number.isFinite(limit.count) && limit.count > 0 && limit.seconds > 0);
+  }
+
+  createBucket(limitHeader) {
+    return {
+      windows: this.parseLimits(limitHeader).map(({ count, seconds }) => ({ count, seconds, timestamps: [] })),
+      blockedUntil: 0
+    };
+  }
+
+  getAppBucket(apiKeyId, routing) {
+    const key = `${apiKeyId}:${routing}`;
+    if (!this.appBuckets.has(key)) {
+      this.appBuckets.set(key, this.createBucket(DEFAULT_APP_LIMITS));
+    }
+    return this.appBuckets.get(key);
+  }
+
+  // Method limits are unknown until the first response for that method
+  getMethodBucket(apiKeyId, routing, method) {
+    const key = `${apiKeyId}:${routing}:${method}`;
+    if (!this.methodBuckets.has(key)) {
+      this.methodBuckets.set(key, this.createBucket(null));
+    }
+    return this.methodBuckets.get(key);
+  }
+
+  // Forget requests that have left their window
+  pruneWindow(window, now) {
+    const windowStart = now - window.seconds * 1000;
+    while (window.timestamps.length > 0 && window.timestamps[0] <= windowStart) {
+      window.timestamps.shift();
+    }
+  }
+
+  // Milliseconds until the bucket allows one more request (0 = right away)
+  getBucketWait(bucket, now) {
+    let wait = Math.max(0, bucket.blockedUntil - now);
+    for (const window of bucket.windows) {
+      this.pruneWindow(window, now);
+      if (window.timestamps.length >= window.count) {
+        // The oldest requests have to leave the window before there is room again
+        const freedAt = window.timestamps[window.timestamps.length - window.count] + window.seconds * 1000;
+        wait = Math.max(wait, freedAt - now);
+      }
+    }
+    return wait;
+  }
+
+  // Milliseconds until a request with this key, routing value and method may be sent
+  getWaitTime(apiKeyId, routing, method) {
+    const now = Date.now();
+    return Math.max(
+      this.getBucketWait(this.getAppBucket(apiKeyId, routing), now),
+      this.getBucketWait(this.getMethodBucket(apiKeyId, routing, method), now)
+    );
+  }
+
+  // Requests with this key, routing value and method that may be sent right now without waiting
+  // (the least room left in any window of both buckets, 0 while paused after a 429)
+  getAvailableCapacity(apiKeyId, routing, method) {
+    const now = Date.now();
+    let capacity = Infinity;
+    for (const bucket of [this.getAppBucket(apiKeyId, routing), this.getMethodBucket(apiKeyId, routing, method)]) {
+      if (bucket.blockedUntil > now) return 0;
+      for (const window of bucket.windows) {
+        this.pruneWindow(window, now);
+        capacity = Math.min(capacity, window.count - window.timestamps.length);
+      }
+    }
+    return Math.max(0, capacity);
+  }
+
+  // Count a request against its buckets (call right before sending it)
+  reserve(apiKeyId, routing, method) {
+    const now = Date.now();
+    for (const bucket of [this.getAppBucket(apiKeyId, routing), this.getMethodBucket(apiKeyId, routing, method)]) {
+      for (const window of bucket.windows) {
+        window.timestamps.push(now);
+      }
+    }
+  }
+
+  // Take the limits (and Riot's own counts) from a response's headers
+  update(apiKeyId, routing, method, headers = {}) {
+    const now = Date.now();
+    this.applyHeaders(this.getAppBucket(apiKeyId, routing),
+      getHeader(headers, 'x-app-rate-limit'), getHeader(headers, 'x-app-rate-limit-count'), now);
+    this.applyHeaders(this.getMethodBucket(apiKeyId, routing, method),
+      getHeader(headers, 'x-method-rate-limit'), getHeader(headers, 'x-method-rate-limit-count'), now);
+  }
+
+  applyHeaders(bucket, limitHeader, countHeader, now) {
+    const limits = this.parseLimits(limitHeader);
+    if (limits.length > 0) {
+      // Keep the requests already counted in windows that are still there
+      bucket.windows = limits.map(({ count, seconds }) => {
+        const existing = bucket.windows.find(window => window.seconds === seconds);
+        return { count, seconds, timestamps: existing ? existing.timestamps : [] };
+      });
+    }
+
+    // Riot's counts include requests we never saw (before a restart, other bots sharing the key)
+    for (const { count: used, seconds } of this.parseLimits(countHeader)) {
+      const window = bucket.windows.find(candidate => candidate.seconds === seconds);
+      if (!window) continue;
+      this.pruneWindow(window, now);
+      while (window.timestamps.length < used) {
+        window.timestamps.push(now);
+      }
+    }
+  }
+
+  // Pause the bucket that answered 429 for Retry-After seconds; returns the pause in seconds
+  // X-Rate-Limit-Type says which limit was hit: "application", "method" or "service" (Riot's own load)
+  recordRateLimited(apiKeyId, routing, method, headers = {}) {
+    const retryAfter = Number(getHeader(headers, 'retry-after')) || DEFAULT_RETRY_AFTER;
+    const limitType = getHeader(headers, 'x-rate-limit-type') || 'service';
+    const bucket = limitType === 'application'
+      ? this.getAppBucket(apiKeyId, routing)
+      : this.getMethodBucket(apiKeyId, routing, method);
+
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + retryAfter * 1000);
+    Logger.warn(`Riot API rate limit hit (${limitType}) for ${apiKeyId} on ${routing} ${method}, pausing for ${retryAfter}s`);
+    return retryAfter;
+  }
+
+  // Application buckets for /apistats: [{ apiKeyId, routing, windows: [{ used, count, seconds }], blockedUntil }]
+  getStatus() {
+    const now = Date.now();
+    return [...this.appBuckets.entries()].map(([key, bucket]) => {
+      const separator = key.lastIndexOf(':');
+      return {
+        apiKeyId: key.substring(0, separator),
+        routing: key.substring(separator + 1),
+        windows: bucket.windows.map(window => {
+          this.pruneWindow(window, now);
+          return { used: window.timestamps.length, count: window.count, seconds: window.seconds };
+        }),
+        blockedUntil: bucket.blockedUntil > now ? bucket.blockedUntil : null
+      };
+    });
+  }
+}
+
+// Header lookup that works for axios headers (lower-case) and plain objects
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') {
+    return headers.get(name) ?? undefined;
+  }
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name);
+  return match ? headers[match] : undefined;
+}
+
+module.exports = new RateLimiter();
@@ -0,0 +1,53 @@
+// src/utils/RecentLookups.js
+const Logger = require('./Logger');
+const fs = require('fs');
+const path = require('path');
+
+// Riot IDs each Discord user looked up recently, used for riot_id autocomplete
+// Persisted to data/recent_lookups.json: { [discordUserId]: [{ riotId, region, lookedUpAt }] } (newest first)
+class RecentLookups {
+  constructor() {
+    this.lookupsFile = path.join(process.cwd(), 'data', 'recent_lookups.json');
+    this.maxPerUser = 10;
+    this.lookups = this.loadLookups();
+  }
+
+  loadLookups() {
+    try {
+      if (fs.existsSync(this.lookupsFile)) {
+        return JSON.parse(fs.readFileSync(this.lookupsFile, 'utf8'));
+      }
+    } catch (error) {
+      Logger.error('Error loading recent lookups:', error.message);
+    }
+    return {};
+  }
+
+  saveLookups() {
+    try {
+      const lookupsDir = path.dirname(this.lookupsFile);
+      if (!fs.existsSync(lookupsDir)) {
+        fs.mkdirSync(lookupsDir, { recursive: true });
+      }
+      fs.writeFileSync(this.lookupsFile, JSON.stringify(this.lookups, null, 2), 'utf8');
+    } catch (error) {
+      Logger.error('Error saving recent lookups:', error.message);
+    }
+  }
+
+  // Recent lookups of a Discord user, newest first
+  get(userId) {
+    return (userId && this.lookups[userId]) || [];
+  }
+
+  // Remember a successful lookup (moves an existing entry for the same Riot ID to the top)
+  add(userId, riotId, region = null) {
+    if (!userId || !riotId) return;
+
+    const others = this.get(userId).filter(entry => entry.riotId.toLowerCase() !== riotId.toLowerCase());
+    this.lookups[userId] = [{ riotId, region, lookedUpAt: Date.now() }, ...others].slice(0, this.maxPerUser);
+    this.saveLookups();
+  }
+}
+
+module.exports = new RecentLookups();
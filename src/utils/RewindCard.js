@@ -0,0 +1,112 @@
+// src/utils/RewindCard.js
+const SvgRenderer = require('./SvgRenderer');
+
+// Shareable rewind summary card (1200x630 PNG, the usual link-preview size)
+// buildSvg() is a pure function of the card data - no clock, network or system fonts - so a
+// given card always renders to the same image. Card data:
+// {
+//   riotId, seasonLabel, queueLabel, totalGames, winRate, kda: { kills, deaths, assists, kda }, rankLabel,
+//   champions: [{ championId, name, gamesPlayed, winRate, icon: PNG Buffer | null }] (top 3 used)
+// }
+class RewindCard {
+  constructor() {
+    this.width = 1200;
+    this.height = 630;
+    this.fileName = 'rewind-card.png';
+
+    this.colors = {
+      backgroundTop: '#0A1428',
+      backgroundBottom: '#1E2328',
+      gold: '#C8AA6E',
+      goldDark: '#785A28',
+      text: '#F0E6D2',
+      muted: '#A09B8C',
+      panel: '#010A13',
+      win: '#0AC8B9',
+      loss: '#E84057'
+    };
+  }
+
+  // Largest font size (up to maxSize) at which text roughly fits into maxWidth
+  // DejaVu Sans Bold glyphs average ~0.62em wide - close enough to keep long names inside their box
+  fitFontSize(text, maxWidth, maxSize) {
+    return Math.min(maxSize, Math.floor(maxWidth / (Math.max(1, text.length) * 0.62)));
+  }
+
+  // Stat panel: label above a big value
+  buildStat(x, y, width, label, value, valueColor) {
+    const escape = text => SvgRenderer.escapeXml(text);
+    // Long values (e.g. "Grandmaster 1024 LP") get a smaller font so they stay inside the panel
+    const valueSize = this.fitFontSize(value, width - 24, 48);
+
+    return [
+      `<rect x="${x}" y="${y}" width="${width}" height="130" rx="12" fill="${this.colors.panel}" fill-opacity="0.75" stroke="${this.colors.goldDark}" stroke-width="2"/>`,
+      `<text x="${x + width / 2}" y="${y + 40}" text-anchor="middle" font-size="20" fill="${this.colors.muted}" letter-spacing="2">${escape(label)}</text>`,
+      `<text x="${x + width / 2}" y="${y + 100}" text-anchor="middle" font-size="${valueSize}" font-weight="bold" fill="${valueColor}">${escape(value)}</text>`
+    ].join('\n');
+  }
+
+  // Champion entry: round icon (or placeholder initial) with name and record
+  buildChampion(champion, index, x, y) {
+    const escape = text => SvgRenderer.escapeXml(text);
+    const radius = 48;
+    const centerX = x + radius;
+    const centerY = y + radius;
+    const parts = [];
+
+    if (champion.icon) {
+      parts.push(`<clipPath id="icon-clip-${index}"><circle cx="${centerX}" cy="${centerY}" r="${radius}"/></clipPath>`);
+      parts.push(`<image x="${x}" y="${y}" width="${radius * 2}" height="${radius * 2}" clip-path="url(#icon-clip-${index})" href="data:image/png;base64,${champion.icon.toString('base64')}"/>`);
+    } else {
+      parts.push(`<circle cx="${centerX}" cy="${centerY}" r="${radius}" fill="${this.colors.panel}"/>`);
+      parts.push(`<text x="${centerX}" y="${centerY + 14}" text-anchor="middle" font-size="40" font-weight="bold" fill="${this.colors.gold}">${escape(champion.name.charAt(0).toUpperCase())}</text>`);
+    }
+    parts.push(`<circle cx="${centerX}" cy="${centerY}" r="${radius}" fill="none" stroke="${this.colors.gold}" stroke-width="3"/>`);
+
+    parts.push(`<text x="${x + radius * 2 + 20}" y="${y + 42}" font-size="${this.fitFontSize(champion.name, 240, 28)}" font-weight="bold" fill="${this.colors.text}">${escape(champion.name)}</text>`);
+    parts.push(`<text x="${x + radius * 2 + 20}" y="${y + 78}" font-size="22" fill="${this.colors.muted}">${champion.gamesPlayed} games · ${champion.winRate}% WR</text>`);
+
+    return parts.join('\n');
+  }
+
+  // Build the card SVG markup
+  buildSvg(card) {
+    const escape = text => SvgRenderer.escapeXml(text);
+    const { width, height, colors } = this;
+    const statWidth = 255;
+    const statGap = 20;
+    const stats = [
+      { label: 'GAMES', value: String(card.totalGames), color: colors.text },
+      { label: 'WIN RATE', value: `${card.winRate}%`, color: card.winRate >= 50 ? colors.win : colors.loss },
+      { label: 'KDA', value: String(card.kda.kda), color: colors.text },
+      { label: 'RANK', value: card.rankLabel || 'Unranked', color: colors.gold }
+    ];
+    const champions = (card.champions || []).slice(0, 3);
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${SvgRenderer.fontFamily}">`,
+      '<defs>',
+      `<linearGradient id="background" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="${colors.backgroundTop}"/><stop offset="1" stop-color="${colors.backgroundBottom}"/></linearGradient>`,
+      '</defs>',
+      `<rect width="${width}" height="${height}" fill="url(#background)"/>`,
+      `<rect x="16" y="16" width="${width - 32}" height="${height - 32}" rx="18" fill="none" stroke="${colors.gold}" stroke-width="3"/>`,
+      `<text x="60" y="88" font-size="24" font-weight="bold" fill="${colors.gold}" letter-spacing="4">${escape(card.seasonLabel.toUpperCase())} REWIND</text>`,
+      `<text x="60" y="156" font-size="${this.fitFontSize(card.riotId, width - 120, 56)}" font-weight="bold" fill="${colors.text}">${escape(card.riotId)}</text>`,
+      `<text x="60" y="198" font-size="24" fill="${colors.muted}">${escape(card.queueLabel)}</text>`,
+      ...stats.map((stat, index) => this.buildStat(60 + index * (statWidth + statGap), 230, statWidth, stat.label, stat.value, stat.color)),
+      `<text x="60" y="412" font-size="20" fill="${colors.muted}" letter-spacing="2">TOP CHAMPIONS</text>`,
+      ...(champions.length > 0
+        ? champions.map((champion, index) => this.buildChampion(champion, index, 60 + index * 370, 440))
+        : [`<text x="60" y="500" font-size="28" fill="${colors.muted}">No champion data</text>`]),
+      `<text x="${width - 60}" y="${height - 40}" text-anchor="end" font-size="18" fill="${colors.goldDark}">LoL Year-End Rewind</text>`,
+      '</svg>'
+    ].join('\n');
+  }
+
+  // Render the card to a PNG buffer
+  async render(card) {
+    return SvgRenderer.render(this.buildSvg(card));
+  }
+}
+
+module.exports = new RewindCard();
@@ -0,0 +1,231 @@
+// src/utils/RewindCharts.js
+const moment = require('moment');
+const SvgRenderer = require('./SvgRenderer');
+
+// Season trend charts rendered to a single PNG (three stacked panels):
+// rolling win rate, games per week and LP history from stored rank snapshots.
+// Input is rewind.trends from RewindService.computeRewind(); like RewindCard, the SVG only
+// depends on that data so the same trends always render to the same image.
+class RewindCharts {
+  constructor() {
+    this.width = 1000;
+    this.panelHeight = 340;
+    this.headerHeight = 70;
+    this.fileName = 'rewind-trends.png';
+
+    // Plot area inside each panel
+    this.plot = { left: 130, right: 960, top: 60, bottom: 290 };
+
+    this.colors = {
+      background: '#0A1428',
+      panel: '#010A13',
+      grid: '#1E2328',
+      axis: '#5B5A56',
+      gold: '#C8AA6E',
+      text: '#F0E6D2',
+      muted: '#A09B8C',
+      win: '#0AC8B9',
+      loss: '#E84057'
+    };
+
+    this.tierNames = ['Iron', 'Bronze', 'Silver', 'Gold', 'Platinum', 'Emerald', 'Diamond'];
+    this.divisionNames = ['IV', 'III', 'II', 'I'];
+    this.apexBase = 2800; // Ladder points of Master 0 LP (see YearEndRewindCalculator.getLadderPoints)
+  }
+
+  // Round coordinates so the markup stays small and stable
+  coord(value) {
+    return Number(value.toFixed(1));
+  }
+
+  // Rank name for a ladder point value (division boundary), e.g. 1300 -> "Gold I"
+  ladderLabel(ladderPoints) {
+    if (ladderPoints >= this.apexBase) {
+      return ladderPoints === this.apexBase ? 'Master' : `Master+ ${ladderPoints - this.apexBase} LP`;
+    }
+    const tier = this.tierNames[Math.floor(ladderPoints / 400)];
+    const division = this.divisionNames[Math.floor((ladderPoints % 400) / 100)];
+    return `${tier} ${division}`;
+  }
+
+  // Panel frame with title and an optional "not enough data" message
+  buildPanel(panelY, title, emptyMessage = null) {
+    const escape = text => SvgRenderer.escapeXml(text);
+    const parts = [
+      `<rect x="20" y="${panelY + 10}" width="${this.width - 40}" height="${this.panelHeight - 20}" rx="12" fill="${this.colors.panel}" fill-opacity="0.8"/>`,
+      `<text x="40" y="${panelY + 42}" font-size="22" font-weight="bold" fill="${this.colors.gold}">${escape(title)}</text>`
+    ];
+    if (emptyMessage) {
+      parts.push(`<text x="${this.width / 2}" y="${panelY + this.panelHeight / 2 + 10}" text-anchor="middle" font-size="20" fill="${this.colors.muted}">${escape(emptyMessage)}</text>`);
+    }
+    return parts;
+  }
+
+  // Horizontal grid lines with labels on the left
+  buildYAxis(panelY, ticks, toY) {
+    const escape = text => SvgRenderer.escapeXml(text);
+    return ticks.flatMap(tick => {
+      const y = this.coord(panelY + toY(tick.value));
+      return [
+        `<line x1="${this.plot.left}" y1="${y}" x2="${this.plot.right}" y2="${y}" stroke="${tick.dashed ? this.colors.axis : this.colors.grid}" stroke-width="1"${tick.dashed ? ' stroke-dasharray="6 6"' : ''}/>`,
+        `<text x="${this.plot.left - 10}" y="${y + 5}" text-anchor="end" font-size="14" fill="${this.colors.muted}">${escape(tick.label)}</text>`
+      ];
+    });
+  }
+
+  // Month labels along the bottom of a panel
+  buildXAxis(panelY, range, toX) {
+    const parts = [
+      `<line x1="${this.plot.left}" y1="${panelY + this.plot.bottom}" x2="${this.plot.right}" y2="${panelY + this.plot.bottom}" stroke="${this.colors.axis}" stroke-width="1"/>`
+    ];
+    const month = moment.utc(range.start).startOf('month');
+    if (month.valueOf() < range.start) month.add(1, 'month');
+
+    while (month.valueOf() <= range.end) {
+      const x = this.coord(toX(month.valueOf()));
+      parts.push(`<line x1="${x}" y1="${panelY + this.plot.bottom}" x2="${x}" y2="${panelY + this.plot.bottom + 6}" stroke="${this.colors.axis}" stroke-width="1"/>`);
+      parts.push(`<text x="${x}" y="${panelY + this.plot.bottom + 24}" text-anchor="middle" font-size="14" fill="${this.colors.muted}">${month.format('MMM')}</text>`);
+      month.add(1, 'month');
+    }
+    return parts;
+  }
+
+  // Line with markers (single points are drawn as a dot)
+  buildLine(points, color) {
+    const parts = [];
+    if (points.length > 1) {
+      parts.push(`<polyline points="${points.map(p => `${this.coord(p.x)},${this.coord(p.y)}`).join(' ')}" fill="none" stroke="${color}" stroke-width="3" stroke-linejoin="round" stroke-linecap="round"/>`);
+    }
+    if (points.length <= 60) {
+      points.forEach(p => parts.push(`<circle cx="${this.coord(p.x)}" cy="${this.coord(p.y)}" r="4" fill="${color}"/>`));
+    }
+    return parts;
+  }
+
+  buildWinRatePanel(panelY, rollingWinRate, toX) {
+    const title = `Rolling Win Rate (last ${rollingWinRate.windowSize} games)`;
+    if (rollingWinRate.points.length === 0) {
+      return this.buildPanel(panelY, title, 'Not enough games for a trend yet');
+    }
+
+    const plotHeight = this.plot.bottom - this.plot.top;
+    const toY = winRate => this.plot.top + plotHeight * (1 - winRate / 100);
+    const ticks = [0, 25, 50, 75, 100].map(value => ({ value, label: `${value}%`, dashed: value === 50 }));
+
+    return [
+      ...this.buildPanel(panelY, title),
+      ...this.buildYAxis(panelY, ticks, toY),
+      ...this.buildLine(rollingWinRate.points.map(p => ({ x: toX(p.gameCreation), y: panelY + toY(p.winRate) })), this.colors.win)
+    ];
+  }
+
+  buildGamesPerWeekPanel(panelY, gamesPerWeek, range, toX) {
+    const title = 'Games per Week';
+    if (gamesPerWeek.length === 0) {
+      return this.buildPanel(panelY, title, 'No games this season');
+    }
+
+    const plotHeight = this.plot.bottom - this.plot.top;
+    const maxGames = Math.max(...gamesPerWeek.map(week => week.games));
+    const step = Math.max(1, Math.ceil(maxGames / 4));
+    const yMax = step * 4;
+    const toY = games => this.plot.top + plotHeight * (1 - games / yMax);
+    const ticks = [0, 1, 2, 3, 4].map(i => ({ value: i * step, label: String(i * step) }));
+
+    const weekMs = 7 * 24 * 60 * 60 * 1000;
+    const barWidth = Math.max(2, (toX(range.start + weekMs) - toX(range.start)) * 0.7);
+    const bars = gamesPerWeek.filter(week => week.games > 0).flatMap(week => {
+      const x = this.coord(toX(week.weekStart + weekMs / 2) - barWidth / 2);
+      const winsTop = this.coord(panelY + toY(week.wins));
+      const gamesTop = this.coord(panelY + toY(week.games));
+      const base = panelY + this.plot.bottom;
+      return [
+        `<rect x="${x}" y="${gamesTop}" width="${this.coord(barWidth)}" height="${this.coord(winsTop - gamesTop)}" fill="${this.colors.loss}" fill-opacity="0.7"/>`,
+        `<rect x="${x}" y="${winsTop}" width="${this.coord(barWidth)}" height="${this.coord(base - winsTop)}" fill="${this.colors.win}"/>`
+      ];
+    });
+
+    return [
+      ...this.buildPanel(panelY, title),
+      `<text x="${this.plot.right}" y="${panelY + 42}" text-anchor="end" font-size="16" fill="${this.colors.win}">■ Wins <tspan fill="${this.colors.loss}">■ Losses</tspan></text>`,
+      ...this.buildYAxis(panelY, ticks, toY),
+      ...bars
+    ];
+  }
+
+  buildLpPanel(panelY, lpHistory, toX) {
+    const queueLabel = lpHistory.queueType === 'RANKED_FLEX_SR' ? 'Flex' : 'Solo/Duo';
+    const title = `${queueLabel} LP History`;
+    if (lpHistory.points.length === 0) {
+      return this.buildPanel(panelY, title, 'No rank history yet - it builds up every time you run /lolstats');
+    }
+
+    const values = lpHistory.points.map(p => p.ladderPoints);
+    // Round the range out to division boundaries; switch to tier boundaries for big climbs
+    let yMin = Math.floor(Math.min(...values) / 100) * 100;
+    let yMax = Math.ceil(Math.max(...values) / 100) * 100;
+    if (yMax - yMin < 200) {
+      yMin = Math.max(0, yMin - 100);
+      yMax = yMin + 200;
+    }
+    const step = yMax - yMin > 800 ? 400 : 100;
+    yMin = Math.floor(yMin / step) * step;
+    yMax = Math.ceil(yMax / step) * step;
+
+    const plotHeight = this.plot.bottom - this.plot.top;
+    const toY = ladderPoints => this.plot.top + plotHeight * (1 - (ladderPoints - yMin) / (yMax - yMin));
+    const ticks = [];
+    for (let value = yMin; value <= yMax; value += step) {
+      ticks.push({ value, label: this.ladderLabel(value) });
+    }
+
+    return [
+      ...this.buildPanel(panelY, title),
+      ...this.buildYAxis(panelY, ticks, toY),
+      ...this.buildLine(lpHistory.points.map(p => ({ x: toX(p.timestamp), y: panelY + toY(p.ladderPoints) })), this.colors.gold)
+    ];
+  }
+
+  // Build the chart SVG markup
+  // range: { start, end } timestamps shared by all panels' x axes
+  buildSvg(trends, range, title) {
+    const escape = text => SvgRenderer.escapeXml(text);
+    const height = this.headerHeight + this.panelHeight * 3;
+    const span = Math.max(1, range.end - range.start);
+    const toX = timestamp => this.plot.left + (this.plot.right - this.plot.left) * Math.min(1, Math.max(0, (timestamp - range.start) / span));
+
+    const panels = [
+      { y: this.headerHeight, build: panelY => this.buildWinRatePanel(panelY, trends.rollingWinRate, toX) },
+      { y: this.headerHeight + this.panelHeight, build: panelY => this.buildGamesPerWeekPanel(panelY, trends.gamesPerWeek, range, toX) },
+      { y: this.headerHeight + this.panelHeight * 2, build: panelY => this.buildLpPanel(panelY, trends.lpHistory, toX) }
+    ];
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${height}" viewBox="0 0 ${this.width} ${height}" font-family="${SvgRenderer.fontFamily}">`,
+      `<rect width="${this.width}" height="${height}" fill="${this.colors.background}"/>`,
+      `<text x="40" y="48" font-size="28" font-weight="bold" fill="${this.colors.text}">${escape(title)}</text>`,
+      ...panels.flatMap(panel => [
+        ...panel.build(panel.y),
+        ...this.buildXAxis(panel.y, range, toX)
+      ]),
+      '</svg>'
+    ].join('\n');
+  }
+
+  // X axis range for a season: season start up to the latest match or rank snapshot (capped at season end)
+  getRange(trends, seasonInfo) {
+    const lastWeek = trends.gamesPerWeek[trends.gamesPerWeek.length - 1];
+    const latest = Math.max(
+      lastWeek ? lastWeek.weekStart + 7 * 24 * 60 * 60 * 1000 : seasonInfo.seasonStart,
+      ...trends.lpHistory.points.map(p => p.timestamp)
+    );
+    return { start: seasonInfo.seasonStart, end: Math.min(seasonInfo.seasonEnd, latest) };
+  }
+
+  // Render the trend charts to a PNG buffer
+  async render(trends, seasonInfo, title) {
+    return SvgRenderer.render(this.buildSvg(trends, this.getRange(trends, seasonInfo), title));
+  }
+}
+
+module.exports = new RewindCharts();
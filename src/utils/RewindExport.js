@@ -0,0 +1,79 @@
+// src/utils/RewindExport.js
+const moment = require('moment-timezone');
+const ChampionNames = require('./ChampionNames');
+const QueueFilters = require('./QueueFilters');
+
+// Machine-readable exports of a rewind for spreadsheets and other tools:
+// - JSON: the computed rewind from RewindService.computeRewind() plus player/season/queue context
+// - CSV: one row per match (oldest first), dates in the rewind's timezone
+// Champion names and roles are always English / Riot's role keys so exports stay comparable
+// no matter which language the bot replied in.
+class RewindExport {
+  constructor() {
+    this.csvColumns = ['match_id', 'date', 'queue', 'champion', 'role', 'kills', 'deaths', 'assists', 'cs', 'win'];
+  }
+
+  // File name prefix, e.g. "rewind-Tester-SG2-2026-split1-ranked"
+  getFileBase({ displayName, seasonInfo, queueFilter }) {
+    const parts = ['rewind', displayName, String(seasonInfo.season)];
+    if (seasonInfo.split) parts.push(`split${seasonInfo.split}`);
+    parts.push(queueFilter.key);
+
+    return parts.join('-').replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/-+/g, '-');
+  }
+
+  // Rewind as a pretty-printed JSON document
+  buildJson({ displayName, puuid, seasonInfo, queueFilter, timezone }, rewind, matches, yearOverYear = null) {
+    const championNames = {};
+    for (const match of matches) {
+      championNames[match.championId] = ChampionNames.getName(match.championId);
+    }
+
+    return JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      player: { riotId: displayName, puuid },
+      season: {
+        season: seasonInfo.season,
+        split: seasonInfo.split,
+        label: seasonInfo.label,
+        start: seasonInfo.seasonStartDate,
+        end: seasonInfo.seasonEndDate
+      },
+      queue: { key: queueFilter.key, label: queueFilter.label },
+      timezone,
+      championNames,
+      rewind,
+      yearOverYear
+    }, null, 2);
+  }
+
+  // Quote a CSV value when it contains a separator, quote or line break
+  escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Per-match rows as CSV
+  buildCsv(matches, timezone = 'UTC') {
+    const rows = [...matches]
+      .sort((a, b) => a.gameCreation - b.gameCreation)
+      .map(match => [
+        match.matchId,
+        moment.tz(match.gameCreation, timezone).format('YYYY-MM-DD HH:mm'),
+        QueueFilters.getQueueName(match.queueId),
+        ChampionNames.getName(match.championId),
+        match.role,
+        match.kills,
+        match.deaths,
+        match.assists,
+        match.cs,
+        match.win ? 'W' : 'L'
+      ]);
+
+    return [this.csvColumns, ...rows]
+      .map(row => row.map(value => this.escapeCsv(value)).join(','))
+      .join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new RewindExport();
@@ -0,0 +1,123 @@
+// src/utils/RewindHtml.js
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./Logger');
+
+// Standalone HTML page of a rewind: a single file with inline CSS and SVG (card + trend charts),
+// no scripts and no external requests, so it can be opened offline and archived.
+// Sections are the same Discord-markdown fields as the embeds, converted to HTML here.
+class RewindHtml {
+  constructor() {
+    this.exportsDir = path.join(process.cwd(), 'data', 'exports');
+
+    this.colors = {
+      background: '#010A13',
+      panel: '#0A1428',
+      border: '#463714',
+      gold: '#C8AA6E',
+      text: '#F0E6D2',
+      muted: '#A09B8C'
+    };
+  }
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Convert the Discord markdown used in rewind fields (```blocks```, `code`, **bold**, line breaks)
+  markdownToHtml(markdown) {
+    return String(markdown)
+      .split(/```/)
+      .map((part, index) => {
+        const escaped = this.escapeHtml(part);
+        // Odd parts are inside ``` fences
+        if (index % 2 === 1) {
+          return `<pre>${escaped.replace(/^\n/, '').replace(/\n$/, '')}</pre>`;
+        }
+        return escaped
+          .replace(/`([^`]+)`/g, '<code>$1</code>')
+          .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+          .replace(/^\n|\n$/g, '')
+          .replace(/\n/g, '<br>\n');
+      })
+      .join('');
+  }
+
+  buildStyles() {
+    const { background, panel, border, gold, text, muted } = this.colors;
+    return [
+      `body { margin: 0; background: ${background}; color: ${text}; font-family: "Segoe UI", "Noto Sans", "Noto Sans Thai", Arial, sans-serif; line-height: 1.5; }`,
+      'main { max-width: 1040px; margin: 0 auto; padding: 32px 20px 48px; }',
+      `h1 { margin: 0 0 8px; color: ${gold}; font-size: 2em; }`,
+      `h2 { margin: 0 0 12px; color: ${gold}; font-size: 1.15em; }`,
+      `.intro { color: ${muted}; margin: 0 0 24px; }`,
+      'svg { display: block; width: 100%; height: auto; margin: 0 0 24px; border-radius: 12px; }',
+      'svg text { font-family: "DejaVu Sans", Verdana, Arial, sans-serif; }',
+      '.sections { display: grid; grid-template-columns: repeat(auto-fill, minmax(300px, 1fr)); gap: 16px; }',
+      `section { background: ${panel}; border: 1px solid ${border}; border-radius: 10px; padding: 16px 18px; }`,
+      'section.wide { grid-column: 1 / -1; }',
+      `code { background: ${background}; color: ${gold}; padding: 1px 5px; border-radius: 4px; font-size: 0.9em; }`,
+      `pre { background: ${background}; padding: 8px 10px; border-radius: 6px; overflow-x: auto; font-family: "DejaVu Sans Mono", Consolas, monospace; }`,
+      `footer { margin-top: 32px; color: ${muted}; font-size: 0.85em; text-align: center; }`
+    ].join('\n');
+  }
+
+  // Build the page
+  // page: { locale, title, description, footer, sections: [{ name, value, inline }], images: [svg markup] }
+  render(page) {
+    const escape = text => this.escapeHtml(text);
+    const sections = page.sections.map(section => [
+      `<section${section.inline ? '' : ' class="wide"'}>`,
+      `<h2>${escape(section.name)}</h2>`,
+      `<div>${this.markdownToHtml(section.value)}</div>`,
+      '</section>'
+    ].join('\n'));
+
+    return [
+      '<!DOCTYPE html>',
+      `<html lang="${escape(page.locale)}">`,
+      '<head>',
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      `<title>${escape(page.title)}</title>`,
+      `<style>\n${this.buildStyles()}\n</style>`,
+      '</head>',
+      '<body>',
+      '<main>',
+      `<h1>${escape(page.title)}</h1>`,
+      `<p class="intro">${this.markdownToHtml(page.description)}</p>`,
+      ...(page.images || []),
+      '<div class="sections">',
+      ...sections,
+      '</div>',
+      `<footer>${escape(page.footer)}</footer>`,
+      '</main>',
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  // Save a page to data/exports (used when it can't be delivered on Discord)
+  save(fileName, html) {
+    try {
+      if (!fs.existsSync(this.exportsDir)) {
+        fs.mkdirSync(this.exportsDir, { recursive: true });
+      }
+      const filePath = path.join(this.exportsDir, fileName);
+      fs.writeFileSync(filePath, html, 'utf8');
+      Logger.info(`Saved rewind page to ${filePath}`);
+      return filePath;
+    } catch (error) {
+      Logger.error(`Error saving rewind page ${fileName}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new RewindHtml();
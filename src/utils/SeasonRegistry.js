@@ -0,0 +1,134 @@
+// src/utils/SeasonRegistry.js
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const Logger = require('./Logger');
+
+// Registry of League of Legends seasons and their splits
+// Each season is keyed by year and lists its splits with exact start/end timestamps (UTC).
+// Split boundaries follow the patch that started each split; regions can differ by a few hours.
+// Years that are not registered fall back to the calendar year (Jan 1 - Dec 31, UTC) as one split,
+// starting after the previous season instead when that one runs into January (2025 ends 2026-01-07).
+//
+// Definitions can be added or overridden without code changes via data/seasons.json:
+// { "2026": { "splits": [{ "split": 1, "name": "Split 1", "start": "2026-01-08T00:00:00Z", "end": "2026-04-28T23:59:59Z" }] } }
+class SeasonRegistry {
+  constructor() {
+    this.overridesFile = path.join(process.cwd(), 'data', 'seasons.json');
+
+    this.seasons = {
+      2023: {
+        splits: [
+          { split: 1, name: 'Split 1', start: '2023-01-10T00:00:00Z', end: '2023-07-18T23:59:59Z' },
+          { split: 2, name: 'Split 2', start: '2023-07-19T00:00:00Z', end: '2024-01-09T23:59:59Z' }
+        ]
+      },
+      2024: {
+        splits: [
+          { split: 1, name: 'Split 1', start: '2024-01-10T00:00:00Z', end: '2024-05-14T23:59:59Z' },
+          { split: 2, name: 'Split 2', start: '2024-05-15T00:00:00Z', end: '2024-09-24T23:59:59Z' },
+          { split: 3, name: 'Split 3', start: '2024-09-25T00:00:00Z', end: '2025-01-08T23:59:59Z' }
+        ]
+      },
+      2025: {
+        splits: [
+          { split: 1, name: 'Season 1 (Noxus)', start: '2025-01-09T00:00:00Z', end: '2025-04-29T23:59:59Z' },
+          { split: 2, name: 'Season 2 (Spirit Blossom)', start: '2025-04-30T00:00:00Z', end: '2025-08-26T23:59:59Z' },
+          { split: 3, name: 'Season 3', start: '2025-08-27T00:00:00Z', end: '2026-01-07T23:59:59Z' }
+        ]
+      }
+    };
+
+    this.loadOverrides();
+  }
+
+  // Merge season definitions from data/seasons.json (if present)
+  loadOverrides() {
+    try {
+      if (!fs.existsSync(this.overridesFile)) return;
+
+      const overrides = JSON.parse(fs.readFileSync(this.overridesFile, 'utf8'));
+      for (const [year, season] of Object.entries(overrides)) {
+        if (!season || !Array.isArray(season.splits) || season.splits.length === 0) {
+          Logger.warn(`Ignoring invalid season definition for ${year} in ${this.overridesFile}`);
+          continue;
+        }
+        this.seasons[year] = season;
+      }
+      Logger.info(`Loaded ${Object.keys(overrides).length} season definition(s) from ${this.overridesFile}`);
+    } catch (error) {
+      Logger.error('Error loading season definitions:', error.message);
+    }
+  }
+
+  // Get the splits of a season (calendar year fallback for unregistered years)
+  getSplits(year) {
+    const season = this.seasons[year];
+    if (season) {
+      return season.splits;
+    }
+
+    // Don't overlap the previous season's last split
+    let start = moment.utc(`${year}-01-01T00:00:00Z`);
+    const previous = this.seasons[year - 1];
+    if (previous) {
+      const previousEnd = moment.utc(previous.splits[previous.splits.length - 1].end);
+      if (previousEnd.isSameOrAfter(start)) {
+        start = previousEnd.add(1, 'second');
+      }
+    }
+
+    return [
+      { split: 1, name: 'Full Year', start: start.format('YYYY-MM-DDTHH:mm:ss[Z]'), end: `${year}-12-31T23:59:59Z` }
+    ];
+  }
+
+  // Check if a season has an explicit definition (not the calendar year fallback)
+  isRegistered(year) {
+    return !!this.seasons[year];
+  }
+
+  // Default season for a rewind
+  // In January (before the current year's season has started) people ask for LAST year's rewind
+  getDefaultYear(now = moment.utc()) {
+    const year = now.year();
+    const currentSeasonStart = moment.utc(this.getSplits(year)[0].start);
+    const firstMonth = now.month() === 0;
+
+    return (firstMonth || now.isBefore(currentSeasonStart)) ? year - 1 : year;
+  }
+
+  // Get season (or split) information with exact timestamps
+  // Returns null if the requested split does not exist in that season
+  getSeasonInfo(year, split = null) {
+    const splits = this.getSplits(year);
+    let start;
+    let end;
+    let splitInfo = null;
+
+    if (split !== null && split !== undefined) {
+      splitInfo = splits.find(s => s.split === split);
+      if (!splitInfo) {
+        return null;
+      }
+      start = moment.utc(splitInfo.start);
+      end = moment.utc(splitInfo.end);
+    } else {
+      start = moment.utc(splits[0].start);
+      end = moment.utc(splits[splits.length - 1].end);
+    }
+
+    return {
+      season: year,
+      split: splitInfo ? splitInfo.split : null,
+      splitName: splitInfo ? splitInfo.name : null,
+      label: splitInfo ? `Season ${year} · ${splitInfo.name}` : `Season ${year}`,
+      seasonStart: start.valueOf(),
+      seasonEnd: end.valueOf(),
+      seasonStartDate: start.format('YYYY-MM-DD'),
+      seasonEndDate: end.format('YYYY-MM-DD')
+    };
+  }
+}
+
+module.exports = new SeasonRegistry();
@@ -0,0 +1,83 @@
+// src/utils/SnapshotStore.js
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./Logger');
+
+// Stores point-in-time snapshots of player data (rank, mastery, ...) on disk
+// Riot only exposes CURRENT values for these, so history has to be built up locally
+// every time a player is looked up. Snapshots are kept per type and PUUID:
+//   data/snapshots/{type}/{puuid}.json -> [{ timestamp, data }, ...] (oldest first)
+class SnapshotStore {
+  constructor() {
+    this.snapshotsDir = path.join(process.cwd(), 'data', 'snapshots');
+    this.maxSnapshotsPerPlayer = 1000; // Oldest snapshots are dropped beyond this
+  }
+
+  ensureDirectory(type) {
+    const typeDir = path.join(this.snapshotsDir, type);
+    if (!fs.existsSync(typeDir)) {
+      fs.mkdirSync(typeDir, { recursive: true });
+    }
+    return typeDir;
+  }
+
+  getFilePath(type, puuid) {
+    // PUUIDs are URL-safe base64, but sanitize anyway since it becomes a file name
+    const safePuuid = puuid.replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.snapshotsDir, type, `${safePuuid}.json`);
+  }
+
+  // Load all snapshots of a type for a player (oldest first)
+  load(type, puuid) {
+    try {
+      const filePath = this.getFilePath(type, puuid);
+      if (!fs.existsSync(filePath)) {
+        return [];
+      }
+
+      const snapshots = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return Array.isArray(snapshots) ? snapshots : [];
+    } catch (error) {
+      Logger.error(`Error loading ${type} snapshots for ${puuid.substring(0, 8)}...:`, error.message);
+      return [];
+    }
+  }
+
+  // Record a new snapshot
+  // Skipped if the data is identical to the most recent snapshot (keeps files small when nothing changed)
+  record(type, puuid, data, timestamp = Date.now()) {
+    if (!puuid || typeof puuid !== 'string') {
+      throw new Error('PUUID is required to record a snapshot');
+    }
+
+    try {
+      const snapshots = this.load(type, puuid);
+      const latest = snapshots[snapshots.length - 1];
+
+      if (latest && JSON.stringify(latest.data) === JSON.stringify(data)) {
+        Logger.debug(`${type} snapshot unchanged for ${puuid.substring(0, 8)}..., skipping`);
+        return false;
+      }
+
+      snapshots.push({ timestamp, data });
+      if (snapshots.length > this.maxSnapshotsPerPlayer) {
+        snapshots.splice(0, snapshots.length - this.maxSnapshotsPerPlayer);
+      }
+
+      this.ensureDirectory(type);
+      fs.writeFileSync(this.getFilePath(type, puuid), JSON.stringify(snapshots, null, 2), 'utf8');
+      Logger.debug(`Recorded ${type} snapshot for ${puuid.substring(0, 8)}... (${snapshots.length} total)`);
+      return true;
+    } catch (error) {
+      Logger.error(`Error recording ${type} snapshot for ${puuid.substring(0, 8)}...:`, error.message);
+      return false;
+    }
+  }
+
+  // Get snapshots within a time range (inclusive, oldest first)
+  getSnapshots(type, puuid, from = 0, to = Number.MAX_SAFE_INTEGER) {
+    return this.load(type, puuid).filter(snapshot => snapshot.timestamp >= from && snapshot.timestamp <= to);
+  }
+}
+
+module.exports = new SnapshotStore();
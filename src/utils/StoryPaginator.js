@@ -0,0 +1,152 @@
+// src/utils/StoryPaginator.js
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, MessageFlags } = require('discord.js');
+const I18n = require('./I18n');
+const Logger = require('./Logger');
+
+// Multi-page embeds ("story mode") navigated with buttons and a jump menu
+// Pages are { label, emoji, embed, [files] }. A component collector on the reply handles navigation and
+// disables the controls when the user stops clicking. Extra rows (e.g. a share button) are kept
+// below the navigation on every page. Component custom IDs are `{prefix}:story:{action}`
+// so events/interactionCreate.js can route clicks on stories whose collector has ended.
+class StoryPaginator {
+  constructor() {
+    this.idleTimeout = 5 * 60 * 1000; // End the story after 5 minutes without navigation
+    this.activeStories = new Set(); // Message IDs with a running collector
+  }
+
+  // Check if a message has a running story collector
+  isActive(messageId) {
+    return this.activeStories.has(messageId);
+  }
+
+  // Build the navigation rows for a page
+  buildComponents(prefix, pages, pageIndex, disabled = false, locale = I18n.defaultLocale) {
+    const t = I18n.getTranslator(locale);
+    const isFirst = pageIndex === 0;
+    const isLast = pageIndex === pages.length - 1;
+
+    const buttons = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`${prefix}:story:first`).setEmoji('⏮️').setStyle(ButtonStyle.Secondary).setDisabled(disabled || isFirst),
+      new ButtonBuilder().setCustomId(`${prefix}:story:previous`).setLabel(t('story.previous')).setEmoji('◀️').setStyle(ButtonStyle.Secondary).setDisabled(disabled || isFirst),
+      new ButtonBuilder().setCustomId(`${prefix}:story:page`).setLabel(`${pageIndex + 1}/${pages.length}`).setStyle(ButtonStyle.Secondary).setDisabled(true),
+      new ButtonBuilder().setCustomId(`${prefix}:story:next`).setLabel(t('story.next')).setEmoji('▶️').setStyle(ButtonStyle.Primary).setDisabled(disabled || isLast),
+      new ButtonBuilder().setCustomId(`${prefix}:story:last`).setEmoji('⏭️').setStyle(ButtonStyle.Secondary).setDisabled(disabled || isLast)
+    );
+
+    const jumpMenu = new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`${prefix}:story:jump`)
+        .setPlaceholder(t('story.jumpPlaceholder'))
+        .setDisabled(disabled)
+        .addOptions(pages.map((page, index) => ({
+          label: `${index + 1}. ${page.label}`,
+          value: String(index),
+          emoji: page.emoji,
+          default: index === pageIndex
+        })))
+    );
+
+    return [buttons, jumpMenu];
+  }
+
+  // Message payload for a page (embed + navigation + extra rows)
+  // Attachments are replaced on every render so a page only carries its own images
+  // options: { disabled, extraRows, locale }
+  renderPage(prefix, pages, pageIndex, { disabled = false, extraRows = [], locale = I18n.defaultLocale } = {}) {
+    const page = pages[pageIndex];
+    const footerText = page.embed.footer?.text;
+    const pageLabel = I18n.t(locale, 'story.page', { page: pageIndex + 1, total: pages.length });
+
+    return {
+      embeds: [{
+        ...page.embed,
+        footer: { text: `${pageLabel}${footerText ? ` • ${footerText}` : ''}` }
+      }],
+      components: [...this.buildComponents(prefix, pages, pageIndex, disabled, locale), ...extraRows],
+      files: page.files || [],
+      attachments: []
+    };
+  }
+
+  // Work out the target page for a navigation interaction
+  getTargetPage(componentInteraction, pages, pageIndex) {
+    const action = componentInteraction.customId.split(':').pop();
+
+    switch (action) {
+      case 'first':
+        return 0;
+      case 'previous':
+        return Math.max(0, pageIndex - 1);
+      case 'next':
+        return Math.min(pages.length - 1, pageIndex + 1);
+      case 'last':
+        return pages.length - 1;
+      case 'jump': {
+        const target = parseInt(componentInteraction.values?.[0], 10);
+        return Number.isInteger(target) && target >= 0 && target < pages.length ? target : pageIndex;
+      }
+      default:
+        return pageIndex;
+    }
+  }
+
+  // Start handling navigation on a message that shows the first page
+  // interaction: the command interaction that produced the message (only its user may navigate)
+  // Controls use the interaction's locale, like the first page rendered by the command
+  start(interaction, message, pages, prefix, extraRows = []) {
+    if (!message || typeof message.createMessageComponentCollector !== 'function') {
+      Logger.warn('Story message is not available, navigation buttons will not respond');
+      return;
+    }
+
+    let pageIndex = 0;
+    let lastComponentInteraction = null;
+    const locale = I18n.getLocale(interaction);
+
+    const collector = message.createMessageComponentCollector({
+      filter: componentInteraction => componentInteraction.customId.startsWith(`${prefix}:story:`),
+      idle: this.idleTimeout
+    });
+    this.activeStories.add(message.id);
+
+    collector.on('collect', async componentInteraction => {
+      try {
+        if (componentInteraction.user.id !== interaction.user.id) {
+          await componentInteraction.reply({
+            content: I18n.forInteraction(componentInteraction)('story.notOwner'),
+            flags: MessageFlags.Ephemeral
+          });
+          return;
+        }
+
+        pageIndex = this.getTargetPage(componentInteraction, pages, pageIndex);
+        await componentInteraction.update(this.renderPage(prefix, pages, pageIndex, { extraRows, locale }));
+        lastComponentInteraction = componentInteraction;
+      } catch (error) {
+        Logger.warn('Could not update story page:', error.message);
+      }
+    });
+
+    collector.on('end', async (collected, reason) => {
+      this.activeStories.delete(message.id);
+      Logger.debug(`Story collector ended (${reason}) after ${collected.size} interaction(s)`);
+
+      // Keep the current page visible but disable the navigation (extra rows keep working)
+      // Ephemeral messages can only be edited through an interaction token
+      const payload = this.renderPage(prefix, pages, pageIndex, { disabled: true, extraRows, locale });
+      try {
+        if (lastComponentInteraction) {
+          await lastComponentInteraction.editReply(payload);
+        } else if (message.flags?.has(MessageFlags.Ephemeral)) {
+          await interaction.editReply(payload);
+        } else {
+          await message.edit(payload);
+        }
+      } catch (error) {
+        Logger.warn('Could not disable story navigation (interaction may have expired):', error.message);
+      }
+    });
+  }
+}
+
+module.exports = new StoryPaginator();
@@ -0,0 +1,65 @@
+// src/utils/SvgRenderer.js
+const fs = require('fs');
+const path = require('path');
+const { Resvg, initWasm } = require('@resvg/resvg-wasm');
+const Logger = require('./Logger');
+
+// Renders SVG to PNG with resvg compiled to WebAssembly (pure JS, no native modules or GPU)
+// Fonts are bundled (DejaVu) and system fonts are never loaded, so the same SVG always
+// produces the same PNG on every machine.
+class SvgRenderer {
+  constructor() {
+    this.fontFamily = 'DejaVu Sans';
+    this.wasmReady = null;
+    this.fontBuffers = null;
+  }
+
+  // Load the resvg WebAssembly module and fonts (once per process)
+  async initialize() {
+    if (!this.wasmReady) {
+      this.wasmReady = (async () => {
+        const wasmPath = path.join(path.dirname(require.resolve('@resvg/resvg-wasm')), 'index_bg.wasm');
+        await initWasm(fs.readFileSync(wasmPath));
+
+        const fontsDir = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+        this.fontBuffers = ['DejaVuSans.ttf', 'DejaVuSans-Bold.ttf'].map(file => fs.readFileSync(path.join(fontsDir, file)));
+        Logger.debug('SVG renderer initialized');
+      })();
+    }
+
+    try {
+      await this.wasmReady;
+    } catch (error) {
+      // Allow a retry on the next render
+      this.wasmReady = null;
+      throw error;
+    }
+  }
+
+  // Render an SVG string to a PNG buffer
+  async render(svg) {
+    await this.initialize();
+
+    const resvg = new Resvg(svg, {
+      font: {
+        fontBuffers: this.fontBuffers,
+        defaultFontFamily: this.fontFamily
+      }
+    });
+    const png = resvg.render().asPng();
+    resvg.free();
+    return Buffer.from(png);
+  }
+
+  // Escape text for use inside SVG markup
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = new SvgRenderer();
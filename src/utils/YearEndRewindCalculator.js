@@ -1,5 +1,6 @@
 // src/utils/YearEndRewindCalculator.js
-const moment = require('moment');
+const moment = require('moment-timezone');
+const SeasonRegistry = require('./SeasonRegistry');
 
 class YearEndRewindCalculator {
   constructor() {
@@ -7,34 +8,24 @@ class YearEndRewindCalculator {
   }
 
   // Get current season information
-  // League of Legends seasons typically run from January to November/December
+  // Season boundaries come from SeasonRegistry; in January this is the PREVIOUS season
+  // because that's when everyone asks for their year-end rewind
   getCurrentSeason() {
-    const now = moment();
-    const currentYear = now.year();
-    const currentMonth = now.month() + 1; // moment months are 0-indexed
-    
-    // Season year is the current year
-    const seasonYear = currentYear;
-    
-    // Season typically starts in January and ends in November
-    // Use January 1st 00:00:00 UTC as start and November 30th 23:59:59 UTC as end
-    const seasonStart = moment.utc(`${seasonYear}-01-01 00:00:00`);
-    const seasonEnd = moment.utc(`${seasonYear}-12-31 23:59:59`);
-    
-    // Convert to milliseconds (gameCreation is in milliseconds)
-    const seasonStartMs = seasonStart.valueOf();
-    const seasonEndMs = seasonEnd.valueOf();
+    return this.getSeasonInfo(SeasonRegistry.getDefaultYear());
+  }
+
+  // Get season (or split) information with exact start/end timestamps
+  // Returns null if the split does not exist in that season
+  getSeasonInfo(seasonYear, split = null) {
+    const seasonInfo = SeasonRegistry.getSeasonInfo(seasonYear, split);
+    if (!seasonInfo) {
+      return null;
+    }
     
-    console.log(`📅 Season ${seasonYear}: ${seasonStart.format('YYYY-MM-DD')} to ${seasonEnd.format('YYYY-MM-DD')}`);
-    console.log(`   Timestamps: ${seasonStartMs} to ${seasonEndMs}`);
+    console.log(`📅 ${seasonInfo.label}: ${seasonInfo.seasonStartDate} to ${seasonInfo.seasonEndDate}`);
+    console.log(`   Timestamps: ${seasonInfo.seasonStart} to ${seasonInfo.seasonEnd}`);
     
-    return {
-      season: seasonYear,
-      seasonStart: seasonStartMs,
-      seasonEnd: seasonEndMs,
-      seasonStartDate: seasonStart.format('YYYY-MM-DD'),
-      seasonEndDate: seasonEnd.format('YYYY-MM-DD')
-    };
+    return seasonInfo;
   }
 
   // Calculate win rate from matches
@@ -81,14 +72,16 @@ class YearEndRewindCalculator {
       if (!entry || typeof entry !== 'object') return;
       
       const tierValue = this.getTierValue(entry.tier);
-      const divisionValue = this.getDivisionValue(entry.division);
+      // league-v4 returns the division as 'rank'; stored snapshots may use either name
+      const entryDivision = entry.division || entry.rank || '';
+      const divisionValue = this.getDivisionValue(entryDivision);
       const leaguePoints = parseInt(entry.leaguePoints, 10) || 0;
       
       if (tierValue > this.getTierValue(peakTier) || 
          (tierValue === this.getTierValue(peakTier) && divisionValue > this.getDivisionValue(peakDivision)) ||
          (tierValue === this.getTierValue(peakTier) && divisionValue === this.getDivisionValue(peakDivision) && leaguePoints > peakLP)) {
         peakTier = entry.tier || 'UNRANKED';
-        peakDivision = entry.division || '';
+        peakDivision = entryDivision;
         peakLP = leaguePoints;
       }
     });
@@ -96,6 +89,103 @@ class YearEndRewindCalculator {
     return { tier: peakTier, division: peakDivision, lp: peakLP };
   }
 
+  // Calculate peak rank for a queue from stored rank snapshots
+  // Snapshots come from SnapshotStore ('rank' type), each holding the league entries at that time
+  getPeakRankFromSnapshots(snapshots, queueType, seasonStart = 0, seasonEnd = Number.MAX_SAFE_INTEGER) {
+    if (!Array.isArray(snapshots)) {
+      return { tier: 'UNRANKED', division: '', lp: 0, trackedSince: null, snapshotCount: 0 };
+    }
+    
+    const seasonSnapshots = snapshots.filter(snapshot => 
+      snapshot && snapshot.timestamp >= seasonStart && snapshot.timestamp <= seasonEnd
+    );
+    
+    const queueEntries = [];
+    seasonSnapshots.forEach(snapshot => {
+      (snapshot.data || [])
+        .filter(entry => entry && entry.queueType === queueType)
+        .forEach(entry => queueEntries.push(entry));
+    });
+    
+    return {
+      ...this.getPeakRank(queueEntries),
+      trackedSince: seasonSnapshots.length > 0 ? seasonSnapshots[0].timestamp : null,
+      snapshotCount: seasonSnapshots.length
+    };
+  }
+
+  // Calculate champion mastery insights
+  // masteries: current champion-mastery-v4 entries
+  // snapshots: stored 'mastery' snapshots for the season taken before this lookup (oldest first) - the oldest one
+  // is the baseline; without one the gains are unknown (null) and lifetime mastery is compared instead
+  // matches: season matches, used to compare mastery against ranked play
+  getMasteryInsights(masteries, snapshots, matches, topCount = 3) {
+    if (!Array.isArray(masteries) || masteries.length === 0) {
+      return { topMastery: [], baselineTimestamp: null, totalPointsGained: null, topGains: [], newLevels: [], outpacing: [] };
+    }
+
+    const topMastery = [...masteries]
+      .sort((a, b) => b.championPoints - a.championPoints)
+      .slice(0, topCount)
+      .map(m => ({ championId: m.championId, championLevel: m.championLevel, championPoints: m.championPoints }));
+
+    // Diff against the oldest snapshot of the season (if we have one)
+    const baseline = Array.isArray(snapshots) && snapshots.length > 0 ? snapshots[0] : null;
+    const baselineById = {};
+    if (baseline) {
+      (baseline.data || []).forEach(m => { baselineById[m.championId] = m; });
+    }
+
+    const gains = masteries.map(m => {
+      const before = baselineById[m.championId];
+      return {
+        championId: m.championId,
+        pointsGained: Math.max(0, m.championPoints - (before ? before.championPoints : 0)),
+        fromLevel: before ? before.championLevel : 0,
+        toLevel: m.championLevel
+      };
+    });
+
+    const totalPointsGained = baseline ? gains.reduce((sum, g) => sum + g.pointsGained, 0) : null;
+    const topGains = baseline
+      ? gains.filter(g => g.pointsGained > 0).sort((a, b) => b.pointsGained - a.pointsGained).slice(0, topCount)
+      : [];
+    const newLevels = baseline
+      ? gains.filter(g => g.toLevel > g.fromLevel).sort((a, b) => b.toLevel - a.toLevel).map(({ championId, fromLevel, toLevel }) => ({ championId, fromLevel, toLevel }))
+      : [];
+
+    // Champions whose share of mastery (gained this season, or lifetime without a baseline)
+    // is at least double their share of ranked games and at least 5% of all mastery
+    const masteryPoints = baseline
+      ? gains.map(g => ({ championId: g.championId, points: g.pointsGained }))
+      : masteries.map(m => ({ championId: m.championId, points: m.championPoints }));
+    const totalMasteryPoints = masteryPoints.reduce((sum, m) => sum + m.points, 0);
+    const totalGames = Array.isArray(matches) ? matches.length : 0;
+
+    const outpacing = totalMasteryPoints === 0 ? [] : masteryPoints
+      .map(m => {
+        const rankedGames = totalGames > 0 ? matches.filter(match => match.championId === m.championId).length : 0;
+        return {
+          championId: m.championId,
+          masteryShare: Math.round((m.points / totalMasteryPoints) * 100),
+          rankedGames,
+          rankedShare: totalGames > 0 ? Math.round((rankedGames / totalGames) * 100) : 0
+        };
+      })
+      .filter(m => m.masteryShare >= 5 && m.masteryShare >= m.rankedShare * 2)
+      .sort((a, b) => (b.masteryShare - b.rankedShare) - (a.masteryShare - a.rankedShare))
+      .slice(0, topCount);
+
+    return {
+      topMastery,
+      baselineTimestamp: baseline ? baseline.timestamp : null,
+      totalPointsGained,
+      topGains,
+      newLevels,
+      outpacing
+    };
+  }
+
   // Helper function to get tier numerical value
   getTierValue(tier) {
     if (!tier || typeof tier !== 'string') return 0;
@@ -124,6 +214,571 @@ class YearEndRewindCalculator {
     return matches.length;
   }
 
+  // Calculate games and win rate per queue (sorted by games played)
+  getQueueBreakdown(matches) {
+    const queueStats = {};
+
+    matches.forEach(match => {
+      const queueId = match.queueId || 0;
+      if (!queueStats[queueId]) {
+        queueStats[queueId] = { count: 0, wins: 0 };
+      }
+      queueStats[queueId].count++;
+      if (match.win) queueStats[queueId].wins++;
+    });
+
+    return Object.entries(queueStats)
+      .sort(([, a], [, b]) => b.count - a.count)
+      .map(([queueId, stats]) => ({
+        queueId: parseInt(queueId),
+        gamesPlayed: stats.count,
+        winRate: Math.round((stats.wins / stats.count) * 100)
+      }));
+  }
+
+  // Normalize a participant position into one of the five Summoner's Rift roles
+  // teamPosition is preferred; individualPosition is Riot's per-player guess and may be 'Invalid'
+  normalizeRole(teamPosition, individualPosition) {
+    const validRoles = ['TOP', 'JUNGLE', 'MIDDLE', 'BOTTOM', 'UTILITY'];
+
+    for (const position of [teamPosition, individualPosition]) {
+      if (position && typeof position === 'string' && validRoles.includes(position.toUpperCase())) {
+        return position.toUpperCase();
+      }
+    }
+
+    return 'UNKNOWN';
+  }
+
+  // Calculate per-role games, win rate, KDA and top champions
+  // Roles are sorted by games played (most played first), UNKNOWN (ARAM, remakes, etc.) is excluded
+  getRoleBreakdown(matches, topChampionCount = 3) {
+    const roleMatches = {};
+
+    matches.forEach(match => {
+      const role = match.role || 'UNKNOWN';
+      if (role === 'UNKNOWN') return;
+
+      if (!roleMatches[role]) {
+        roleMatches[role] = [];
+      }
+      roleMatches[role].push(match);
+    });
+
+    const totalRoleGames = Object.values(roleMatches).reduce((sum, list) => sum + list.length, 0);
+
+    return Object.entries(roleMatches)
+      .sort(([, a], [, b]) => b.length - a.length)
+      .map(([role, list]) => ({
+        role,
+        gamesPlayed: list.length,
+        wins: list.filter(match => match.win).length,
+        share: Math.round((list.length / totalRoleGames) * 100),
+        winRate: this.calculateWinRate(list),
+        kda: this.calculateKDA(list),
+        topChampions: this.getMostPlayedChampions(list, topChampionCount)
+      }));
+  }
+
+  // Calculate streaks, multikills, milestones and best game
+  // Walks matches chronologically (oldest first); every highlight carries the match ID it came from
+  getStreaksAndMilestones(matches, milestoneGames = [100, 500, 1000]) {
+    const sortedMatches = [...matches].sort((a, b) => a.gameCreation - b.gameCreation);
+
+    const emptyStreak = { length: 0, startMatchId: null, endMatchId: null, startDate: null, endDate: null };
+    let longestWinStreak = { ...emptyStreak };
+    let longestLossStreak = { ...emptyStreak };
+    let currentStreak = null;
+
+    const pentaKills = { count: 0, matchIds: [] };
+    const quadraKills = { count: 0, matchIds: [] };
+    const firstBloods = { count: 0, matchIds: [] };
+    const milestones = [];
+    let bestGame = null;
+
+    sortedMatches.forEach((match, index) => {
+      // Win/loss streaks
+      if (currentStreak && currentStreak.win === !!match.win) {
+        currentStreak.length++;
+        currentStreak.endMatchId = match.matchId;
+        currentStreak.endDate = match.gameCreation;
+      } else {
+        currentStreak = {
+          win: !!match.win,
+          length: 1,
+          startMatchId: match.matchId,
+          endMatchId: match.matchId,
+          startDate: match.gameCreation,
+          endDate: match.gameCreation
+        };
+      }
+
+      const { win, ...streak } = currentStreak;
+      if (win && streak.length > longestWinStreak.length) {
+        longestWinStreak = streak;
+      } else if (!win && streak.length > longestLossStreak.length) {
+        longestLossStreak = streak;
+      }
+
+      // Multikills and first bloods
+      if (match.pentaKills > 0) {
+        pentaKills.count += match.pentaKills;
+        pentaKills.matchIds.push(match.matchId);
+      }
+      if (match.quadraKills > 0) {
+        quadraKills.count += match.quadraKills;
+        quadraKills.matchIds.push(match.matchId);
+      }
+      if (match.firstBloodKill) {
+        firstBloods.count++;
+        firstBloods.matchIds.push(match.matchId);
+      }
+
+      // Game count milestones (100th game, 500th game, ...)
+      const gameNumber = index + 1;
+      if (milestoneGames.includes(gameNumber)) {
+        milestones.push({
+          game: gameNumber,
+          matchId: match.matchId,
+          gameCreation: match.gameCreation,
+          championId: match.championId,
+          win: !!match.win
+        });
+      }
+
+      // Best single game: highest KDA ratio, ties broken by kill participation (kills + assists) then wins
+      const kda = this.calculateGameKDA(match);
+      if (!bestGame ||
+          kda > bestGame.kda ||
+          (kda === bestGame.kda && (match.kills + match.assists) > (bestGame.kills + bestGame.assists)) ||
+          (kda === bestGame.kda && (match.kills + match.assists) === (bestGame.kills + bestGame.assists) && match.win && !bestGame.win)) {
+        bestGame = {
+          matchId: match.matchId,
+          championId: match.championId,
+          kills: match.kills,
+          deaths: match.deaths,
+          assists: match.assists,
+          kda,
+          win: !!match.win,
+          gameCreation: match.gameCreation
+        };
+      }
+    });
+
+    return {
+      longestWinStreak,
+      longestLossStreak,
+      pentaKills,
+      quadraKills,
+      firstBloods,
+      milestones,
+      bestGame
+    };
+  }
+
+  // Calculate KDA ratio for a single game (deathless games count deaths as 1)
+  calculateGameKDA(match) {
+    const kda = (match.kills + match.assists) / Math.max(1, match.deaths);
+    return parseFloat(kda.toFixed(2));
+  }
+
+  // Find the players the user queued with most often
+  // Each match carries a 'teammates' list ({ puuid, gameName, tagLine }) from the same team
+  // Players seen fewer than minGames times are treated as random teammates and ignored
+  getTeammateAnalysis(matches, minGames = 3, topCount = 5) {
+    const teammates = {};
+
+    // Newest matches first so the first Riot ID we see for a player is their current one
+    [...matches].sort((a, b) => b.gameCreation - a.gameCreation).forEach(match => {
+      (match.teammates || []).forEach(teammate => {
+        if (!teammate || !teammate.puuid) return;
+
+        if (!teammates[teammate.puuid]) {
+          teammates[teammate.puuid] = {
+            puuid: teammate.puuid,
+            riotId: teammate.gameName ? `${teammate.gameName}#${teammate.tagLine || ''}` : null,
+            games: 0,
+            wins: 0,
+            lastPlayed: match.gameCreation
+          };
+        }
+
+        const stats = teammates[teammate.puuid];
+        // Older matches may predate Riot IDs - fill in a name only if we have none yet
+        if (!stats.riotId && teammate.gameName) {
+          stats.riotId = `${teammate.gameName}#${teammate.tagLine || ''}`;
+        }
+        stats.games++;
+        if (match.win) stats.wins++;
+      });
+    });
+
+    const frequentTeammates = Object.values(teammates)
+      .filter(t => t.games >= minGames)
+      .map(t => ({ ...t, winRate: Math.round((t.wins / t.games) * 100) }))
+      .sort((a, b) => b.games - a.games || b.winRate - a.winRate);
+
+    const byWinRate = [...frequentTeammates].sort((a, b) => b.winRate - a.winRate || b.games - a.games);
+
+    return {
+      teammates: frequentTeammates.slice(0, topCount),
+      totalDuoGames: matches.filter(match => (match.teammates || []).some(t => teammates[t.puuid] && teammates[t.puuid].games >= minGames)).length,
+      bestDuo: byWinRate.length > 1 ? byWinRate[0] : null,
+      worstDuo: byWinRate.length > 1 ? byWinRate[byWinRate.length - 1] : null
+    };
+  }
+
+  // Calculate per-matchup records against the lane opponent (enemy with the same teamPosition)
+  // Each match carries 'laneOpponent' ({ championId, goldEarned, cs }) plus the player's own goldEarned/cs
+  // Only matchups with at least minGames games are ranked so single games don't dominate
+  getMatchupAnalysis(matches, minGames = 3, topCount = 3) {
+    const matchups = {};
+
+    matches.forEach(match => {
+      const opponent = match.laneOpponent;
+      if (!opponent || opponent.championId === undefined || opponent.championId === null) return;
+
+      if (!matchups[opponent.championId]) {
+        matchups[opponent.championId] = { championId: opponent.championId, games: 0, wins: 0, goldDiff: 0, csDiff: 0 };
+      }
+
+      const stats = matchups[opponent.championId];
+      stats.games++;
+      if (match.win) stats.wins++;
+      stats.goldDiff += (match.goldEarned || 0) - (opponent.goldEarned || 0);
+      stats.csDiff += (match.cs || 0) - (opponent.cs || 0);
+    });
+
+    const qualified = Object.values(matchups)
+      .filter(m => m.games >= minGames)
+      .map(m => ({
+        championId: m.championId,
+        games: m.games,
+        wins: m.wins,
+        losses: m.games - m.wins,
+        winRate: Math.round((m.wins / m.games) * 100),
+        avgGoldDiff: Math.round(m.goldDiff / m.games),
+        avgCsDiff: Math.round(m.csDiff / m.games)
+      }));
+
+    return {
+      minGames,
+      totalMatchups: Object.keys(matchups).length,
+      // Enemy champions the player loses to most
+      nemeses: qualified
+        .filter(m => m.winRate < 50)
+        .sort((a, b) => b.losses - a.losses || a.winRate - b.winRate)
+        .slice(0, topCount),
+      // Enemy champions the player beats most
+      favouriteVictims: qualified
+        .filter(m => m.winRate > 50)
+        .sort((a, b) => b.wins - a.wins || b.winRate - a.winRate)
+        .slice(0, topCount)
+    };
+  }
+
+  // Games two players were both in, detected from shared match IDs
+  // They were teammates when player B shows up in player A's 'teammates' list, opponents otherwise
+  getHeadToHead(matchesA, matchesB, puuidB) {
+    const matchesById = new Map(matchesB.map(match => [match.matchId, match]));
+    const together = { games: 0, wins: 0 };
+    const against = { games: 0, winsA: 0, winsB: 0 };
+    let lastPlayed = null;
+
+    matchesA.forEach(match => {
+      const other = matchesById.get(match.matchId);
+      if (!other) return;
+
+      if ((match.teammates || []).some(teammate => teammate && teammate.puuid === puuidB)) {
+        together.games++;
+        if (match.win) together.wins++;
+      } else {
+        against.games++;
+        if (match.win) against.winsA++;
+        if (other.win) against.winsB++;
+      }
+      if (!lastPlayed || match.gameCreation > lastPlayed.gameCreation) {
+        lastPlayed = { matchId: match.matchId, gameCreation: match.gameCreation };
+      }
+    });
+
+    return {
+      sharedGames: together.games + against.games,
+      together: { ...together, winRate: together.games > 0 ? Math.round((together.wins / together.games) * 100) : 0 },
+      against,
+      lastPlayed
+    };
+  }
+
+  // Champions both players played this season, most played by both first
+  getSharedChampions(matchesA, matchesB, topCount = 5) {
+    const countChampions = matches => matches.reduce((stats, match) => {
+      if (!stats[match.championId]) {
+        stats[match.championId] = { games: 0, wins: 0 };
+      }
+      stats[match.championId].games++;
+      if (match.win) stats[match.championId].wins++;
+      return stats;
+    }, {});
+    const withWinRate = stats => ({ games: stats.games, winRate: Math.round((stats.wins / stats.games) * 100) });
+
+    const statsA = countChampions(matchesA);
+    const statsB = countChampions(matchesB);
+    const shared = Object.keys(statsA)
+      .filter(championId => statsB[championId])
+      .map(championId => ({
+        championId: parseInt(championId),
+        a: withWinRate(statsA[championId]),
+        b: withWinRate(statsB[championId])
+      }))
+      .sort((x, y) => Math.min(y.a.games, y.b.games) - Math.min(x.a.games, x.b.games) || (y.a.games + y.b.games) - (x.a.games + x.b.games));
+
+    return {
+      totalShared: shared.length,
+      champions: shared.slice(0, topCount)
+    };
+  }
+
+  // How much two players' role distributions overlap (0-100%), from getRoleBreakdown() results
+  // 100% means identical role shares, 0% means they never play the same role
+  getRoleOverlap(rolesA, rolesB) {
+    const sharesB = {};
+    rolesB.forEach(role => { sharesB[role.role] = role.share; });
+
+    const sharedRoles = rolesA
+      .filter(role => sharesB[role.role] !== undefined)
+      .map(role => ({ role: role.role, shareA: role.share, shareB: sharesB[role.role] }));
+
+    return {
+      overlap: Math.min(100, sharedRoles.reduce((sum, role) => sum + Math.min(role.shareA, role.shareB), 0)),
+      sharedRoles
+    };
+  }
+
+  // Check that a timezone name is a valid IANA timezone (e.g. 'Asia/Manila')
+  isValidTimezone(timezone) {
+    return !!(timezone && typeof timezone === 'string' && moment.tz.zone(timezone));
+  }
+
+  // Bucket matches by month, weekday and hour in the given timezone
+  // Also computes total play time (from gameDuration, in seconds), busiest month/day,
+  // win rate by time of day and a weekday x 4-hour-block heatmap
+  getActivityTimeline(matches, timezone = 'UTC') {
+    const tz = this.isValidTimezone(timezone) ? timezone : 'UTC';
+    const bucket = () => ({ games: 0, wins: 0, seconds: 0 });
+
+    const months = Array.from({ length: 12 }, bucket);
+    const weekdays = Array.from({ length: 7 }, bucket); // 0 = Monday ... 6 = Sunday
+    const hours = Array.from({ length: 24 }, bucket);
+    const heatmap = Array.from({ length: 7 }, () => Array(6).fill(0)); // [weekday][4-hour block]
+    const dates = {};
+    let totalSeconds = 0;
+
+    matches.forEach(match => {
+      const local = moment.tz(match.gameCreation, tz);
+      const weekday = local.isoWeekday() - 1;
+      const hour = local.hour();
+      const seconds = match.gameDuration || 0;
+      const date = local.format('YYYY-MM-DD');
+
+      [months[local.month()], weekdays[weekday], hours[hour]].forEach(b => {
+        b.games++;
+        if (match.win) b.wins++;
+        b.seconds += seconds;
+      });
+      heatmap[weekday][Math.floor(hour / 4)]++;
+      dates[date] = (dates[date] || 0) + 1;
+      totalSeconds += seconds;
+    });
+
+    const withWinRate = b => ({ ...b, winRate: b.games > 0 ? Math.round((b.wins / b.games) * 100) : 0 });
+    // Index of the bucket with the most games (-1 if there are no games at all)
+    const busiestIndex = list => list.reduce((best, b, index) => (b.games > (best === -1 ? 0 : list[best].games) ? index : best), -1);
+
+    // Time-of-day periods (local hours)
+    const periodRanges = {
+      afterMidnight: [0, 6],
+      morning: [6, 12],
+      afternoon: [12, 18],
+      evening: [18, 24]
+    };
+    const timeOfDay = {};
+    Object.entries(periodRanges).forEach(([period, [from, to]]) => {
+      const periodBucket = hours.slice(from, to).reduce((acc, b) => ({
+        games: acc.games + b.games,
+        wins: acc.wins + b.wins,
+        seconds: acc.seconds + b.seconds
+      }), bucket());
+      timeOfDay[period] = withWinRate(periodBucket);
+    });
+
+    // Best/worst period only counts periods with enough games to be meaningful
+    const rankedPeriods = Object.entries(timeOfDay)
+      .filter(([, b]) => b.games >= 5)
+      .sort(([, a], [, b]) => b.winRate - a.winRate);
+
+    const busiestMonth = busiestIndex(months);
+    const busiestWeekday = busiestIndex(weekdays);
+    const busiestDateEntry = Object.entries(dates).sort(([, a], [, b]) => b - a)[0];
+
+    return {
+      timezone: tz,
+      totalHours: Math.round((totalSeconds / 3600) * 10) / 10,
+      months: months.map(withWinRate),
+      weekdays: weekdays.map(withWinRate),
+      hours: hours.map(withWinRate),
+      heatmap,
+      busiestMonth: busiestMonth !== -1 ? { month: busiestMonth, ...withWinRate(months[busiestMonth]) } : null,
+      busiestWeekday: busiestWeekday !== -1 ? { weekday: busiestWeekday, ...withWinRate(weekdays[busiestWeekday]) } : null,
+      busiestDate: busiestDateEntry ? { date: busiestDateEntry[0], games: busiestDateEntry[1] } : null,
+      timeOfDay,
+      bestTimeOfDay: rankedPeriods.length > 1 ? rankedPeriods[0][0] : null,
+      worstTimeOfDay: rankedPeriods.length > 1 ? rankedPeriods[rankedPeriods.length - 1][0] : null
+    };
+  }
+
+  // Rolling win rate over the season (chronological)
+  // The window shrinks for small seasons so there is still a trend to draw; one point per game once it is full
+  getRollingWinRate(matches, windowSize = 20) {
+    const sorted = [...matches].sort((a, b) => a.gameCreation - b.gameCreation);
+    const window = Math.min(windowSize, Math.max(5, Math.floor(sorted.length / 4)));
+    const points = [];
+
+    if (sorted.length < window) {
+      return { windowSize: window, points };
+    }
+
+    let wins = 0;
+    sorted.forEach((match, index) => {
+      if (match.win) wins++;
+      if (index >= window && sorted[index - window].win) wins--;
+      if (index >= window - 1) {
+        points.push({ gameCreation: match.gameCreation, winRate: Math.round((wins / window) * 100) });
+      }
+    });
+
+    return { windowSize: window, points };
+  }
+
+  // Games and wins per week, from the season start up to the week of the last match
+  // Weeks are 7-day buckets counted from seasonStart (UTC)
+  getGamesPerWeek(matches, seasonStart) {
+    if (matches.length === 0) return [];
+
+    const weekMs = 7 * 24 * 60 * 60 * 1000;
+    const lastMatch = Math.max(...matches.map(match => match.gameCreation));
+    const weekCount = Math.floor((lastMatch - seasonStart) / weekMs) + 1;
+    const weeks = Array.from({ length: Math.max(1, weekCount) }, (_, index) => ({
+      weekStart: seasonStart + index * weekMs,
+      games: 0,
+      wins: 0
+    }));
+
+    matches.forEach(match => {
+      const week = weeks[Math.floor((match.gameCreation - seasonStart) / weekMs)];
+      if (!week) return;
+      week.games++;
+      if (match.win) week.wins++;
+    });
+
+    return weeks;
+  }
+
+  // Position on the ladder as a single number (Iron IV 0 LP = 0, 100 per division, 400 per tier)
+  // Master+ share one ladder above Diamond I, so their LP is added on top of Master's base
+  getLadderPoints(tier, division, lp) {
+    const tierValue = this.getTierValue(tier);
+    if (tierValue === 0) return null;
+
+    const leaguePoints = parseInt(lp, 10) || 0;
+    if (tierValue >= this.getTierValue('MASTER')) {
+      return (this.getTierValue('MASTER') - 1) * 400 + leaguePoints;
+    }
+    return (tierValue - 1) * 400 + (Math.max(1, this.getDivisionValue(division)) - 1) * 100 + leaguePoints;
+  }
+
+  // LP history for a queue from stored rank snapshots (oldest first)
+  getLpHistory(snapshots, queueType) {
+    if (!Array.isArray(snapshots)) return [];
+
+    return snapshots
+      .map(snapshot => {
+        const entry = (snapshot.data || []).find(e => e && e.queueType === queueType);
+        if (!entry) return null;
+        const division = entry.division || entry.rank || '';
+        return {
+          timestamp: snapshot.timestamp,
+          tier: entry.tier,
+          division,
+          lp: parseInt(entry.leaguePoints, 10) || 0,
+          ladderPoints: this.getLadderPoints(entry.tier, division, entry.leaguePoints)
+        };
+      })
+      .filter(point => point && point.ladderPoints !== null);
+  }
+
+  // Compare two rewind summaries (see RewindService.buildSummary) - current season vs the previous one
+  // Deltas are current minus previous; win rate deltas are in percentage points
+  getYearOverYear(current, previous) {
+    const currentTop = current.topChampions.map(champ => champ.championId);
+    const previousTop = previous.topChampions.map(champ => champ.championId);
+
+    // Role share changes for every role played in either season (biggest shift first)
+    const roleNames = [...new Set([...current.roles, ...previous.roles].map(role => role.role))];
+    const shareOf = (roles, roleName) => {
+      const role = roles.find(r => r.role === roleName);
+      return role ? role.share : 0;
+    };
+    const roleChanges = roleNames
+      .map(role => ({
+        role,
+        previousShare: shareOf(previous.roles, role),
+        currentShare: shareOf(current.roles, role),
+        delta: shareOf(current.roles, role) - shareOf(previous.roles, role)
+      }))
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+    return {
+      previousSeason: previous.season,
+      games: { current: current.totalGames, previous: previous.totalGames, delta: current.totalGames - previous.totalGames },
+      winRate: { current: current.winRate, previous: previous.winRate, delta: current.winRate - previous.winRate },
+      kda: { current: current.kda, previous: previous.kda, delta: parseFloat((current.kda - previous.kda).toFixed(2)) },
+      championPool: {
+        current: current.uniqueChampions,
+        previous: previous.uniqueChampions,
+        delta: current.uniqueChampions - previous.uniqueChampions,
+        newFavourites: currentTop.filter(id => !previousTop.includes(id)),
+        dropped: previousTop.filter(id => !currentTop.includes(id))
+      },
+      roles: {
+        currentMain: current.roles.length > 0 ? current.roles[0].role : null,
+        previousMain: previous.roles.length > 0 ? previous.roles[0].role : null,
+        changes: roleChanges
+      },
+      rank: {
+        current: current.peakSolo,
+        previous: previous.peakSolo,
+        direction: this.compareRanks(current.peakSolo, previous.peakSolo)
+      }
+    };
+  }
+
+  // Compare two ranks ({ tier, division, lp }): 'up', 'down', 'same', or null if either is missing
+  compareRanks(current, previous) {
+    if (!current || !previous) return null;
+
+    const rankValue = rank => [this.getTierValue(rank.tier), this.getDivisionValue(rank.division), rank.lp || 0];
+    const currentValue = rankValue(current);
+    const previousValue = rankValue(previous);
+
+    for (let i = 0; i < currentValue.length; i++) {
+      if (currentValue[i] !== previousValue[i]) {
+        return currentValue[i] > previousValue[i] ? 'up' : 'down';
+      }
+    }
+    return 'same';
+  }
+
   // Calculate KDA ratio
   calculateKDA(matches) {
     if (matches.length === 0) return { kills: 0, deaths: 0, assists: 0, kda: 0 };
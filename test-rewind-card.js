@@ -0,0 +1,90 @@
+// test-rewind-card.js - Offline snapshot check for the rewind summary card
+// Renders every fixture in fixtures/rewind-card/ (card data as JSON, champion icons as base64 PNG)
+// and compares the SVG markup and PNG bytes with the stored snapshots next to it.
+// The card is a pure function of its data with bundled fonts, so any difference is a real change.
+//
+// Usage: node test-rewind-card.js            (check)
+//        node test-rewind-card.js --update   (rewrite the snapshots after an intended card change)
+const fs = require('fs');
+const path = require('path');
+const RewindCard = require('./src/utils/RewindCard');
+
+const fixturesDir = path.join(__dirname, 'fixtures', 'rewind-card');
+const update = process.argv.includes('--update');
+
+// Fixture JSON -> card data (icons are stored as base64 strings)
+function loadCard(file) {
+  const card = JSON.parse(fs.readFileSync(file, 'utf8'));
+  card.champions = (card.champions || []).map(champion => ({
+    ...champion,
+    icon: champion.icon ? Buffer.from(champion.icon, 'base64') : null
+  }));
+  return card;
+}
+
+async function checkFixture(name) {
+  const card = loadCard(path.join(fixturesDir, `${name}.json`));
+  const svgFile = path.join(fixturesDir, `${name}.svg`);
+  const pngFile = path.join(fixturesDir, `${name}.png`);
+
+  const svg = RewindCard.buildSvg(card);
+  const png = await RewindCard.render(card);
+
+  if (update) {
+    fs.writeFileSync(svgFile, svg + '\n');
+    fs.writeFileSync(pngFile, png);
+    console.log(`📝 ${name}: snapshots updated`);
+    return true;
+  }
+
+  const problems = [];
+  if (!fs.existsSync(svgFile) || !fs.existsSync(pngFile)) {
+    problems.push('snapshot missing (run with --update)');
+  } else {
+    if (fs.readFileSync(svgFile, 'utf8') !== svg + '\n') {
+      problems.push('SVG markup changed');
+    }
+    if (!fs.readFileSync(pngFile).equals(png)) {
+      problems.push('PNG output changed');
+    }
+    // The same data has to render to the same bytes every time
+    if (!(await RewindCard.render(card)).equals(png)) {
+      problems.push('PNG output differs between two renders');
+    }
+  }
+
+  if (problems.length > 0) {
+    console.error(`❌ ${name}: ${problems.join(', ')}`);
+    return false;
+  }
+  console.log(`✅ ${name}`);
+  return true;
+}
+
+async function main() {
+  const names = fs.readdirSync(fixturesDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+
+  if (names.length === 0) {
+    console.error(`❌ No fixtures found in ${fixturesDir}`);
+    process.exit(1);
+  }
+
+  let passed = true;
+  for (const name of names) {
+    passed = (await checkFixture(name)) && passed;
+  }
+
+  if (!passed) {
+    console.error('\nRewind card output changed. If the change is intended, run: node test-rewind-card.js --update');
+    process.exit(1);
+  }
+  console.log(update ? `\n📝 ${names.length} rewind card snapshot(s) written` : `\n✅ ${names.length} rewind card fixture(s) match`);
+}
+
+main().catch(error => {
+  console.error('❌ Rewind card check failed:', error);
+  process.exit(1);
+});